@@ -1,6 +1,8 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import ExcelJS from 'exceljs';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
 import { supabase } from './supabase.js';
@@ -49,24 +51,600 @@ const swaggerOptions = {
 // Basic middleware for parsing JSON
 app.use(express.json());
 
+// Behind the Vercel proxy: req.ip is the address the proxy saw. Only that one hop is trusted;
+// trusting every X-Forwarded-For entry would let clients choose their own IP.
+app.set('trust proxy', 1);
+
+// Session settings: short-lived access tokens, rotating refresh tokens stored in user_sessions
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+// A refresh token is "<session id>.<secret>"; the session id is the user_sessions UUID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Password recovery settings (WhatsApp OTP)
+const PASSWORD_MIN_LENGTH = 8;
+const OTP_TTL_MINUTES = 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RATE_WINDOW_MINUTES = 15;
+const OTP_MAX_REQUESTS_PER_ACCOUNT = 3;
+const OTP_MAX_REQUESTS_PER_IP = 10;
+const OTP_MAX_VERIFY_FAILURES_PER_IP = 20;
+const PASSWORD_RESET_TOKEN_TTL = '10m';
+
+// Self-registration: REGISTRATION_MODE parameter decides what /api/register does
+const REGISTRATION_MODES = ['open', 'approval', 'invite_only', 'closed'];
+const DEFAULT_REGISTRATION_MODE = 'approval';
+const INVITATION_DEFAULT_TTL_DAYS = 7;
+
+// Brute-force protection for /api/login
+const LOGIN_IP_WINDOW_MINUTES = 15;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+const LOGIN_LOCK_THRESHOLD = 5;
+const LOGIN_LOCK_BASE_MINUTES = 1;
+const LOGIN_LOCK_MAX_MINUTES = 24 * 60;
+
+// Compared against when the account does not exist, so response time does not reveal it
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// API keys for machine-to-machine clients (e.g. SIMRS)
+const API_KEY_PREFIX = 'sora_';
+const API_KEY_SCOPES = ['registrations:read', 'registrations:write', 'parameters:read', 'reports:read'];
+
+/**
+ * Authenticate a request made with an API key and attribute it to the key.
+ * @param {string} apiKey - The plain API key.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {Function} next - Express next callback.
+ */
+async function authenticateApiKey(apiKey, req, res, next) {
+    try {
+        const { data: key, error } = await supabase
+            .from('api_keys')
+            .select('id, name, scopes, expires_at, revoked_at, created_by')
+            .eq('key_hash', hashToken(apiKey))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!key || key.revoked_at || (key.expires_at && new Date(key.expires_at) < new Date())) {
+            return res.status(401).json({ error: 'Invalid or expired API key.' });
+        }
+
+        const now = new Date().toISOString();
+        const [{ error: uError }, { error: lError }] = await Promise.all([
+            supabase.from('api_keys').update({ last_used_at: now }).eq('id', key.id),
+            supabase.from('api_key_requests').insert({
+                api_key_id: key.id,
+                method: req.method,
+                path: req.originalUrl,
+                ip_address: req.ip
+            })
+        ]);
+        if (uError) console.error('[API Key] Failed to update last_used_at:', uError.message);
+        if (lError) console.error('[API Key] Failed to log request:', lError.message);
+
+        // No user behind the request; the key itself is the actor
+        req.user = {
+            id: null,
+            auth_type: 'api_key',
+            api_key_id: key.id,
+            api_key_name: key.name,
+            scopes: key.scopes || []
+        };
+        next();
+    } catch (err) {
+        console.error('API key authentication error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+// Besides the signature, the user's account and session are checked against the database
+// so deactivation, password changes and logouts take effect immediately.
+// API keys are accepted too, either as the bearer token or in the X-API-Key header.
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers['x-api-key'] || (token && token.startsWith(API_KEY_PREFIX) ? token : null);
+
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
 
     if (!token) {
         return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
     } catch (err) {
         return res.status(403).json({ error: 'Invalid or expired token.' });
     }
+
+    if (!decoded.sid) {
+        return res.status(403).json({ error: 'Invalid or expired token.' });
+    }
+
+    try {
+        const { data: user, error: uError } = await supabase
+            .from('users')
+            .select('id, email, full_name, role, is_admin, is_active, password_changed_at, totp_enabled')
+            .eq('id', decoded.id)
+            .maybeSingle();
+
+        if (uError) throw uError;
+        if (!user || !user.is_active) {
+            return res.status(401).json({ error: 'Account is no longer active.' });
+        }
+        if (user.password_changed_at && Math.floor(new Date(user.password_changed_at).getTime() / 1000) > decoded.iat) {
+            return res.status(401).json({ error: 'Password has been changed. Please log in again.' });
+        }
+
+        const { data: session, error: sError } = await supabase
+            .from('user_sessions')
+            .select('id, revoked_at')
+            .eq('id', decoded.sid)
+            .maybeSingle();
+
+        if (sError) throw sError;
+        if (!session || session.revoked_at) {
+            return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+        }
+
+        // Role and admin flag come from the database so changes apply without re-login
+        req.user = {
+            ...decoded,
+            email: user.email,
+            full_name: user.full_name,
+            role: user.role,
+            is_admin: user.is_admin,
+            totp_enabled: user.totp_enabled
+        };
+        next();
+    } catch (err) {
+        console.error('Authentication error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Routes that act on the caller's own account cannot be used with an API key
+const rejectApiKey = (req, res, next) => {
+    if (req.user.auth_type === 'api_key') {
+        return res.status(403).json({ error: 'This endpoint requires a user login, not an API key.' });
+    }
+    next();
+};
+
+/**
+ * Hash an opaque token (refresh token, OTP, etc.) for storage.
+ * @param {string} value - The plain token.
+ * @returns {string} - Hex encoded SHA-256 digest.
+ */
+function hashToken(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * @param {object} user - Row from the users table.
+ * @param {string} sessionId - ID of the row in user_sessions.
+ * @returns {string} - Signed JWT.
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, full_name: user.full_name, role: user.role, is_admin: user.is_admin, sid: sessionId },
+        process.env.JWT_SECRET || 'fallback_secret',
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+/**
+ * Start a new session for a user and issue its access and refresh tokens.
+ * The refresh token has the form "<session id>.<secret>"; only the secret's hash is stored.
+ * @param {object} user - Row from the users table.
+ * @param {object} req - Express request, used for IP and user agent.
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number}>}
+ */
+async function createSession(user, req) {
+    const secret = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert({
+            user_id: user.id,
+            refresh_token_hash: hashToken(secret),
+            expires_at: expiresAt.toISOString(),
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent'] || null
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    return {
+        token: signAccessToken(user, session.id),
+        refresh_token: `${session.id}.${secret}`,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+/**
+ * Record a login attempt for per-IP rate limiting. Failures to record are logged only.
+ * @param {object} req - Express request.
+ * @param {string} email - Email used in the attempt.
+ * @param {string|null} userId - ID of the matching user, if any.
+ * @param {boolean} success - Whether the login succeeded.
+ * @returns {Promise<void>}
+ */
+async function recordLoginAttempt(req, email, userId, success) {
+    const { error } = await supabase
+        .from('login_attempts')
+        .insert({ email, user_id: userId, ip_address: req.ip, success });
+
+    if (error) {
+        console.error('[Auth] Failed to record login attempt:', error.message);
+    }
+}
+
+/**
+ * Record a password reset request or OTP verification in password_reset_attempts for per-IP
+ * rate limiting. Every attempt is recorded, including ones for unknown emails.
+ * Failures to record are logged only.
+ * @param {object} req - Express request.
+ * @param {'request'|'verify'} kind - Which step of the reset flow.
+ * @param {string} email - Email used in the attempt.
+ * @param {boolean} success - Whether the step succeeded.
+ * @returns {Promise<void>}
+ */
+async function recordPasswordResetAttempt(req, kind, email, success) {
+    const { error } = await supabase
+        .from('password_reset_attempts')
+        .insert({ kind, email, ip_address: req.ip, success });
+
+    if (error) {
+        console.error('[Auth] Failed to record password reset attempt:', error.message);
+    }
+}
+
+/**
+ * Count this IP's recent password reset attempts of a kind within OTP_RATE_WINDOW_MINUTES.
+ * @param {object} req - Express request.
+ * @param {'request'|'verify'} kind - Which step of the reset flow.
+ * @param {object} [options]
+ * @param {boolean} [options.failedOnly=false] - Count only unsuccessful attempts.
+ * @returns {Promise<number>}
+ */
+async function countPasswordResetAttempts(req, kind, { failedOnly = false } = {}) {
+    const windowStart = new Date(Date.now() - OTP_RATE_WINDOW_MINUTES * 60 * 1000).toISOString();
+    let query = supabase
+        .from('password_reset_attempts')
+        .select('id', { count: 'exact', head: true })
+        .eq('kind', kind)
+        .eq('ip_address', req.ip)
+        .gte('created_at', windowStart);
+
+    if (failedOnly) query = query.eq('success', false);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Record a security event (e.g. account_locked, account_unlocked) in auth_events.
+ * Failures to record are logged only.
+ * @param {string} eventType - Event name.
+ * @param {object} event - Event data.
+ * @param {string} event.userId - Affected user.
+ * @param {string} [event.actorId] - User who triggered the event, if not the system.
+ * @param {string} [event.ip] - Client IP.
+ * @param {object} [event.details] - Extra data.
+ * @returns {Promise<void>}
+ */
+async function recordAuthEvent(eventType, { userId, actorId = null, ip = null, details = null }) {
+    const { error } = await supabase
+        .from('auth_events')
+        .insert({
+            event_type: eventType,
+            user_id: userId,
+            actor_id: actorId,
+            ip_address: ip,
+            details: details ? JSON.stringify(details) : null
+        });
+
+    if (error) {
+        console.error(`[Auth] Failed to record ${eventType} event:`, error.message);
+    }
+}
+
+/**
+ * Count a failed login against the account and lock it with exponential backoff
+ * once LOGIN_LOCK_THRESHOLD is reached.
+ * @param {object} req - Express request.
+ * @param {object} user - Row from the users table.
+ * @returns {Promise<void>}
+ */
+async function registerFailedLogin(req, user) {
+    const failedCount = (user.failed_login_count || 0) + 1;
+    const updateData = { failed_login_count: failedCount };
+
+    // Lock doubles with every failure past the threshold
+    if (failedCount >= LOGIN_LOCK_THRESHOLD) {
+        const lockMinutes = Math.min(
+            LOGIN_LOCK_BASE_MINUTES * 2 ** (failedCount - LOGIN_LOCK_THRESHOLD),
+            LOGIN_LOCK_MAX_MINUTES
+        );
+        updateData.locked_until = new Date(Date.now() + lockMinutes * 60 * 1000).toISOString();
+        await recordAuthEvent('account_locked', {
+            userId: user.id,
+            ip: req.ip,
+            details: { failed_login_count: failedCount, lock_minutes: lockMinutes }
+        });
+    }
+
+    await supabase.from('users').update(updateData).eq('id', user.id);
+}
+
+/**
+ * Finish a successful login: reset failure counters, start a session and send the tokens.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {object} user - Row from the users table.
+ * @returns {Promise<void>}
+ */
+async function completeLogin(req, res, user) {
+    await recordLoginAttempt(req, user.email, user.id, true);
+    if (user.failed_login_count || user.locked_until) {
+        await supabase
+            .from('users')
+            .update({ failed_login_count: 0, locked_until: null })
+            .eq('id', user.id);
+    }
+
+    // Start a session and issue access + refresh tokens
+    const tokens = await createSession(user, req);
+
+    res.json({
+        message: 'Login successful',
+        user: toPublicUser(user),
+        two_factor_setup_required: requiresTwoFactor(user) && !user.totp_enabled,
+        ...tokens
+    });
+}
+
+/**
+ * Revoke every active session of a user.
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<void>}
+ */
+async function revokeUserSessions(userId) {
+    const { error } = await supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (error) throw error;
+}
+
+// Role-Based Access Control
+// Each role maps to the permissions it grants; '*' grants everything.
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    scheduler: [
+        'registrations:read',
+        'registrations:write',
+        'registrations:delete',
+        'patients:read',
+        'patients:write',
+        'checklist:write',
+        'parameters:read',
+        'reports:read',
+        'whatsapp:read',
+        'whatsapp:send'
+    ],
+    ward_nurse: [
+        'registrations:read',
+        'patients:read',
+        'checklist:write',
+        'parameters:read'
+    ],
+    viewer: [
+        'registrations:read',
+        'patients:read',
+        'parameters:read',
+        'reports:read'
+    ]
+};
+
+// Role given to self-registered accounts when they are activated without an explicit role
+const DEFAULT_ROLE = 'viewer';
+
+// Parameters whose values are secrets and are only shown to users who can edit parameters
+const SECRET_PARAM_CODES = ['FONNTE_TOKEN'];
+
+/**
+ * Normalize a stored role name (e.g. "Admin", "Ward Nurse") to a ROLE_PERMISSIONS key.
+ * @param {string} role - Role as stored in the users table or token.
+ * @returns {string|null} - Normalized role key or null if unknown.
+ */
+function normalizeRole(role) {
+    if (!role) return null;
+    const key = String(role).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return ROLE_PERMISSIONS[key] ? key : null;
+}
+
+/**
+ * Check whether an authenticated user has a permission.
+ * Users flagged with is_admin always resolve to the admin role; API keys are limited to their scopes.
+ * @param {object} user - Decoded token payload (req.user).
+ * @param {string} permission - Permission name, e.g. "registrations:write".
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+    if (!user) return false;
+    if (user.auth_type === 'api_key') {
+        return user.scopes.includes(permission);
+    }
+    const role = user.is_admin ? 'admin' : normalizeRole(user.role);
+    const permissions = role ? ROLE_PERMISSIONS[role] : [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Hide the value of secret parameters from users who cannot edit parameters.
+ * @param {object} parameter - Row from mst_parameter.
+ * @param {object} user - Decoded token payload (req.user).
+ * @returns {object} - The parameter, with param_value redacted when needed.
+ */
+function redactSecretParameter(parameter, user) {
+    if (!SECRET_PARAM_CODES.includes(parameter.param_code) || hasPermission(user, 'parameters:write')) {
+        return parameter;
+    }
+    return { ...parameter, param_value: '[REDACTED]' };
+}
+
+// Authorization Middleware: must run after authenticateToken
+const authorize = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: `Forbidden. Missing permission: ${permission}` });
+    }
+    if (requiresTwoFactor(req.user) && !req.user.totp_enabled) {
+        return res.status(403).json({
+            error: 'Two-factor authentication is required for this role. Enable it via /api/2fa/setup.',
+            two_factor_setup_required: true
+        });
+    }
+    next();
 };
 
+// Two-Factor Authentication (TOTP, RFC 6238)
+const TWO_FACTOR_REQUIRED_ROLES = ['admin'];
+const TOTP_ISSUER = 'SORA';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Whether the user's role must use two-factor authentication.
+ * @param {object} user - Decoded token payload (req.user) or users row.
+ * @returns {boolean}
+ */
+function requiresTwoFactor(user) {
+    const role = user.is_admin ? 'admin' : normalizeRole(user.role);
+    return TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding (the format authenticator apps expect).
+ * @param {Buffer} buffer - Bytes to encode.
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string.
+ * @param {string} input - Base32 text; case, spaces and padding are ignored.
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Compute the TOTP code for a time step (HOTP with HMAC-SHA1, RFC 4226).
+ * @param {string} secret - Base32 secret.
+ * @param {number} step - Time step (unix seconds / period).
+ * @returns {string} - Zero-padded code.
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code entered by the user.
+ * @param {number|null} lastUsedStep - Last accepted step, to reject replays.
+ * @returns {number|null} - The matching step, or null if the code is invalid.
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate one-time recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} - Plain codes for the user and hashes to store.
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: TOTP_RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(code)) };
+}
+
+/**
+ * Strip credentials and 2FA secrets from a users row before returning it.
+ * @param {object} user - Row from the users table.
+ * @returns {object}
+ */
+function toPublicUser(user) {
+    const { password_hash, totp_secret, totp_recovery_codes, totp_last_used_step, ...publicUser } = user;
+    return publicUser;
+}
+
 /**
  * Get parameter value from mst_parameter table.
  * @param {string} paramCode - The code of the parameter to fetch.
@@ -77,6 +655,7 @@ async function getParameterValue(paramCode) {
         const { data, error } = await supabase
             .from('mst_parameter')
             .select('param_value')
+            .is('deleted_at', null)
             .eq('param_code', paramCode)
             .eq('is_active', true)
             .single();
@@ -93,6 +672,93 @@ async function getParameterValue(paramCode) {
     }
 }
 
+// Audit Trail
+// Columns that never leave the database in audit entries
+const AUDIT_REDACTED_FIELDS = ['password_hash', 'totp_secret', 'totp_recovery_codes'];
+
+/**
+ * Fields to redact in the audit entry of a change: AUDIT_REDACTED_FIELDS, plus the value of secret parameters.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {string[]}
+ */
+function auditRedactedFields(before, after) {
+    const isSecret = row => Boolean(row && SECRET_PARAM_CODES.includes(row.param_code));
+    return isSecret(before) || isSecret(after) ? [...AUDIT_REDACTED_FIELDS, 'param_value'] : AUDIT_REDACTED_FIELDS;
+}
+
+/**
+ * Compute the field-level difference between two versions of a row.
+ * @param {object|null} before - Row before the change (null for creates).
+ * @param {object|null} after - Row after the change (null for deletes).
+ * @param {string[]} [redactedFields] - Fields whose values are replaced by a placeholder.
+ * @returns {object} - Map of field to { from, to } for every changed field.
+ */
+function diffRecords(before, after, redactedFields = AUDIT_REDACTED_FIELDS) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[field] = redactedFields.includes(field)
+            ? { from: '[REDACTED]', to: '[REDACTED]' }
+            : { from, to };
+    }
+    return changes;
+}
+
+/**
+ * Replace sensitive columns of a row with a placeholder.
+ * @param {object|null} record - Row to redact.
+ * @param {string[]} [redactedFields]
+ * @returns {object|null}
+ */
+function redactAuditRecord(record, redactedFields = AUDIT_REDACTED_FIELDS) {
+    if (!record) return null;
+    const redacted = { ...record };
+    redactedFields.forEach(field => {
+        if (field in redacted) redacted[field] = '[REDACTED]';
+    });
+    return redacted;
+}
+
+/**
+ * Record a create, update or delete in audit_log. Failures to record are logged only,
+ * so auditing never breaks the request itself. Requests made with an API key record the key.
+ * @param {object} req - Express request (actor and IP are taken from it).
+ * @param {object} entry - Audit data.
+ * @param {string} entry.entity - Table name, e.g. "pendaftaran_operasi".
+ * @param {string} entry.entityId - ID of the changed row.
+ * @param {string} entry.action - "create", "update", "delete", "restore", "purge", "migrate" or "import".
+ * @param {object|null} [entry.before] - Row before the change.
+ * @param {object|null} [entry.after] - Row after the change.
+ * @param {string|null} [entry.actorId] - Overrides req.user.id (e.g. unauthenticated flows).
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { entity, entityId, action, before = null, after = null, actorId }) {
+    const redactedFields = auditRedactedFields(before, after);
+    const { error } = await supabase
+        .from('audit_log')
+        .insert({
+            actor_id: actorId !== undefined ? actorId : req.user?.id || null,
+            api_key_id: req.user?.api_key_id || null,
+            action,
+            entity,
+            entity_id: entityId ? String(entityId) : null,
+            ip_address: req.ip,
+            before_data: redactAuditRecord(before, redactedFields),
+            after_data: redactAuditRecord(after, redactedFields),
+            changes: diffRecords(before, after, redactedFields)
+        });
+
+    if (error) {
+        console.error(`[Audit] Failed to record ${action} on ${entity} ${entityId}:`, error.message);
+    }
+}
+
 
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
 
@@ -134,6 +800,7 @@ app.get('/api/test-supabase', async (req, res) => {
         const { data, error } = await supabase
             .from('mst_parameter')
             .select('param_name')
+            .is('deleted_at', null)
             .limit(1);
 
         if (error) throw error;
@@ -158,6 +825,13 @@ app.get('/api/test-supabase', async (req, res) => {
  * /api/register:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       Behaviour depends on the REGISTRATION_MODE parameter:
+ *       - open: the account is active immediately with the viewer role
+ *       - approval (default): the account is pending until an admin approves it
+ *       - invite_only / closed: only registration with a valid invite_token is accepted
+ *
+ *       With a valid invite_token the account is active immediately with the invitation's role.
  *     requestBody:
  *       required: true
  *       content:
@@ -174,21 +848,59 @@ app.get('/api/test-supabase', async (req, res) => {
  *                 type: string
  *               full_name:
  *                 type: string
+ *               phone_number:
+ *                 type: string
+ *                 description: WhatsApp number used for password recovery and approval notices
+ *               invite_token:
+ *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully.
+ *         description: User registered (active or pending approval).
  *       400:
- *         description: Email already registered or missing fields.
+ *         description: Email already registered, missing fields or invalid invitation.
+ *       403:
+ *         description: Self-registration is disabled.
  */
 // Register API
 app.post('/api/register', async (req, res) => {
-    const { email, password, full_name } = req.body;
+    const { email, password, full_name, phone_number, invite_token } = req.body;
 
     if (!email || !password) {
         return res.status(400).json({ error: 'Email and password are required' });
     }
 
     try {
+        let mode = (await getParameterValue('REGISTRATION_MODE'))?.toLowerCase();
+        if (!REGISTRATION_MODES.includes(mode)) mode = DEFAULT_REGISTRATION_MODE;
+
+        let invitation = null;
+        if (invite_token) {
+            // Claim the invitation first so it cannot be used twice
+            const { data: claimed, error: iError } = await supabase
+                .from('user_invitations')
+                .update({ used_at: new Date().toISOString() })
+                .eq('token_hash', hashToken(invite_token))
+                .is('used_at', null)
+                .is('revoked_at', null)
+                .gt('expires_at', new Date().toISOString())
+                .select('id, email, role')
+                .maybeSingle();
+
+            if (iError) throw iError;
+            if (!claimed) {
+                return res.status(400).json({ error: 'Invitation is invalid, expired or already used' });
+            }
+            if (claimed.email && claimed.email.toLowerCase() !== String(email).toLowerCase()) {
+                await supabase.from('user_invitations').update({ used_at: null }).eq('id', claimed.id);
+                return res.status(400).json({ error: 'This invitation was issued for a different email address' });
+            }
+            invitation = claimed;
+        } else if (mode === 'invite_only' || mode === 'closed') {
+            return res.status(403).json({ error: 'Self-registration is disabled. Please ask an administrator for an invitation.' });
+        }
+
+        const isPending = !invitation && mode === 'approval';
+
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const passwordHash = await bcrypt.hash(password, salt);
@@ -201,21 +913,38 @@ app.post('/api/register', async (req, res) => {
                     email,
                     password_hash: passwordHash,
                     full_name,
-                    is_active: true,
-                    is_admin: false
+                    phone_number,
+                    role: invitation ? invitation.role : (isPending ? null : DEFAULT_ROLE),
+                    is_active: !isPending,
+                    is_admin: false,
+                    approval_status: isPending ? 'pending' : 'approved'
                 }
             ])
-            .select('id, email, full_name, created_at')
+            .select('id, email, full_name, phone_number, role, is_active, approval_status, created_at')
             .single();
 
         if (error) {
+            if (invitation) {
+                await supabase.from('user_invitations').update({ used_at: null }).eq('id', invitation.id);
+            }
             if (error.code === '23505') { // Unique constraint violation
                 return res.status(400).json({ error: 'Email already registered' });
             }
             throw error;
         }
 
-        res.status(201).json({ message: 'User registered successfully', user: data });
+        if (invitation) {
+            await supabase.from('user_invitations').update({ used_by: data.id }).eq('id', invitation.id);
+        }
+
+        await recordAudit(req, { entity: 'users', entityId: data.id, action: 'create', after: data, actorId: data.id });
+
+        res.status(201).json({
+            message: isPending
+                ? 'Registration received. Your account will be active after an administrator approves it.'
+                : 'User registered successfully',
+            user: data
+        });
     } catch (err) {
         console.error('Registration error:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -253,12 +982,27 @@ app.post('/api/register', async (req, res) => {
  *                   type: string
  *                 user:
  *                   type: object
+ *                 two_factor_required:
+ *                   type: boolean
+ *                   description: When true, only challenge_token is returned; finish with POST /api/login/2fa.
+ *                 challenge_token:
+ *                   type: string
+ *                 two_factor_setup_required:
+ *                   type: boolean
+ *                   description: The user's role requires 2FA but it is not enabled yet.
  *                 token:
  *                   type: string
+ *                   description: Access token, valid for 15 minutes.
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Refresh token for POST /api/token/refresh. Rotated on every use.
+ *                 expires_in:
+ *                   type: integer
+ *                   description: Access token lifetime in seconds.
  *       401:
- *         description: Invalid email or password.
- *       403:
- *         description: Account is deactivated.
+ *         description: Invalid email or password. Also returned, identically, while the account is locked or when it is deactivated.
+ *       429:
+ *         description: Too many failed attempts from this IP. See the Retry-After header.
  */
 // Login API
 app.post('/api/login', async (req, res) => {
@@ -269,41 +1013,59 @@ app.post('/api/login', async (req, res) => {
     }
 
     try {
+        // Per-IP limit on recent failed attempts
+        const windowStart = new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000).toISOString();
+        const { count: ipFailures, error: ipError } = await supabase
+            .from('login_attempts')
+            .select('id', { count: 'exact', head: true })
+            .eq('ip_address', req.ip)
+            .eq('success', false)
+            .gte('created_at', windowStart);
+
+        if (ipError) throw ipError;
+        if (ipFailures >= LOGIN_MAX_FAILURES_PER_IP) {
+            res.set('Retry-After', String(LOGIN_IP_WINDOW_MINUTES * 60));
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+        }
+
         // Fetch user from Supabase
         const { data: user, error } = await supabase
             .from('users')
             .select('*')
             .eq('email', email)
-            .single();
+            .maybeSingle();
 
-        if (error || !user) {
-            return res.status(401).json({ error: 'Invalid email or password' });
-        }
+        if (error) throw error;
 
-        if (!user.is_active) {
-            return res.status(403).json({ error: 'Account is deactivated' });
-        }
+        // Compare password (against a dummy hash when the user does not exist)
+        const isMatch = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+        const isLocked = Boolean(user && user.locked_until && new Date(user.locked_until) > new Date());
 
-        // Compare password
-        const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) {
+        // Locked and deactivated accounts get the same answer as an unknown email or a wrong password,
+        // so a lockout does not reveal that the account exists
+        if (!user || isLocked || !isMatch || !user.is_active) {
+            await recordLoginAttempt(req, email, user?.id || null, false);
+            if (user && !isMatch && !isLocked) {
+                await registerFailedLogin(req, user);
+            }
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, email: user.email, full_name: user.full_name, role: user.role },
-            process.env.JWT_SECRET || 'fallback_secret',
-            { expiresIn: '24h' }
-        );
+        // Second step: the real tokens are issued by /api/login/2fa
+        if (user.totp_enabled) {
+            const challengeToken = jwt.sign(
+                { id: user.id, purpose: '2fa_challenge' },
+                process.env.JWT_SECRET || 'fallback_secret',
+                { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+            );
+            return res.json({
+                message: 'Two-factor authentication required',
+                two_factor_required: true,
+                challenge_token: challengeToken
+            });
+        }
 
-        // Return user info (omit password_hash) and token
-        const { password_hash, ...userInfo } = user;
-        res.json({
-            message: 'Login successful',
-            user: userInfo,
-            token: token
-        });
+        await completeLogin(req, res, user);
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -312,40 +1074,113 @@ app.post('/api/login', async (req, res) => {
 
 /**
  * @openapi
- * /api/users:
- *   get:
- *     summary: Get all users
- *     security:
- *       - bearerAuth: []
+ * /api/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     description: Send the challenge_token from POST /api/login with either a TOTP code or an unused recovery code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
  *     responses:
  *       200:
- *         description: List of all users.
+ *         description: Login successful; same body as POST /api/login.
  *       401:
- *         description: Unauthorized.
+ *         description: Invalid or expired challenge, or wrong code. A temporarily locked account gets the same answer.
  */
-// Get All Users API
-app.get('/api/users', authenticateToken, async (req, res) => {
-    try {
-        const { data: users, error } = await supabase
-            .from('users')
-            .select('id, email, full_name, role, is_active, is_admin, created_at')
-            .order('created_at', { ascending: false });
+// Two-Factor Login API
+app.post('/api/login/2fa', async (req, res) => {
+    const { challenge_token, code, recovery_code } = req.body;
 
-        if (error) throw error;
-        res.json(users);
+    if (!challenge_token || (!code && !recovery_code)) {
+        return res.status(400).json({ error: 'challenge_token and code or recovery_code are required' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challenge_token, process.env.JWT_SECRET || 'fallback_secret');
     } catch (err) {
-        console.error('Fetch users error:', err);
+        return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    if (decoded.purpose !== '2fa_challenge') {
+        return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', decoded.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || !user.is_active || !user.totp_enabled) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+
+        // A locked account answers like a wrong code
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            await recordLoginAttempt(req, user.email, user.id, false);
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        let verified = false;
+        if (code) {
+            const step = verifyTotp(user.totp_secret, code, user.totp_last_used_step ?? null);
+            if (step !== null) {
+                verified = true;
+                await supabase.from('users').update({ totp_last_used_step: step }).eq('id', user.id);
+            }
+        } else {
+            const recoveryHashes = user.totp_recovery_codes || [];
+            const codeHash = hashToken(String(recovery_code).trim().toLowerCase());
+            if (recoveryHashes.includes(codeHash)) {
+                verified = true;
+                // Recovery codes are single use
+                await supabase
+                    .from('users')
+                    .update({ totp_recovery_codes: recoveryHashes.filter(h => h !== codeHash) })
+                    .eq('id', user.id);
+                await recordAuthEvent('recovery_code_used', {
+                    userId: user.id,
+                    ip: req.ip,
+                    details: { remaining: recoveryHashes.length - 1 }
+                });
+            }
+        }
+
+        if (!verified) {
+            await recordLoginAttempt(req, user.email, user.id, false);
+            await registerFailedLogin(req, user);
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (err) {
+        console.error('Two-factor login error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/users:
+ * /api/token/refresh:
  *   post:
- *     summary: Add a new user
- *     security:
- *       - bearerAuth: []
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated; the old one stops working. Reusing an old refresh token revokes the whole session.
  *     requestBody:
  *       required: true
  *       content:
@@ -353,210 +1188,183 @@ app.get('/api/users', authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - password
- *               - full_name
+ *               - refresh_token
  *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
- *               full_name:
- *                 type: string
- *               is_admin:
- *                 type: boolean
- *               role:
+ *               refresh_token:
  *                 type: string
- *                 default: Admin
  *     responses:
- *       201:
- *         description: User created successfully.
- *       400:
- *         description: Email already registered.
+ *       200:
+ *         description: New access token and refresh token.
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked.
  */
-// Add User API
-app.post('/api/users', authenticateToken, async (req, res) => {
-    const { email, password, full_name, is_admin, role } = req.body;
+// Refresh Token API
+app.post('/api/token/refresh', async (req, res) => {
+    const { refresh_token } = req.body;
 
-    if (!email || !password || !full_name) {
-        return res.status(400).json({ error: 'Email, password, and full name are required' });
+    if (!refresh_token || typeof refresh_token !== 'string' || !refresh_token.includes('.')) {
+        return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const [sessionId, secret] = refresh_token.split('.');
+
+    // Anything else would be rejected by Postgres as an invalid uuid
+    if (!UUID_PATTERN.test(sessionId)) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
 
     try {
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select('id, user_id, refresh_token_hash, expires_at, revoked_at, user:user_id(id, email, full_name, role, is_admin, is_active)')
+            .eq('id', sessionId)
+            .maybeSingle();
 
-        const { data, error } = await supabase
-            .from('users')
-            .insert([
-                {
-                    email,
-                    password_hash: passwordHash,
-                    full_name,
-                    is_active: true,
-                    is_admin: is_admin || false,
-                    role: role || 'Admin'
-                }
-            ])
-            .select('id, email, full_name, is_active, is_admin, role, created_at')
-            .single();
+        if (error) throw error;
 
-        if (error) {
-            if (error.code === '23505') {
-                return res.status(400).json({ error: 'Email already registered' });
-            }
-            throw error;
+        if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
         }
 
-        res.status(201).json({ message: 'User created successfully', user: data });
+        if (session.refresh_token_hash !== hashToken(secret)) {
+            // An already rotated token was presented: treat it as stolen and end the session
+            await supabase
+                .from('user_sessions')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', session.id);
+            console.warn(`[Auth] Refresh token reuse detected for session ${session.id}, session revoked.`);
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        if (!session.user || !session.user.is_active) {
+            return res.status(401).json({ error: 'Account is no longer active.' });
+        }
+
+        const newSecret = crypto.randomBytes(48).toString('base64url');
+        const { data: rotated, error: rError } = await supabase
+            .from('user_sessions')
+            .update({
+                refresh_token_hash: hashToken(newSecret),
+                last_used_at: new Date().toISOString()
+            })
+            .eq('id', session.id)
+            .eq('refresh_token_hash', session.refresh_token_hash)
+            .select('id')
+            .maybeSingle();
+
+        if (rError) throw rError;
+        if (!rotated) {
+            // Another request rotated the token first
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            token: signAccessToken(session.user, session.id),
+            refresh_token: `${session.id}.${newSecret}`,
+            expires_in: ACCESS_TOKEN_TTL_SECONDS
+        });
     } catch (err) {
-        console.error('Create user error:', err);
+        console.error('Refresh token error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/users/{id}:
- *   put:
- *     summary: Update a user
+ * /api/logout:
+ *   post:
+ *     summary: Log out the current session
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *               full_name:
- *                 type: string
- *               is_active:
- *                 type: boolean
- *               is_admin:
- *                 type: boolean
- *               role:
- *                 type: string
- *               password:
- *                 type: string
  *     responses:
  *       200:
- *         description: User updated successfully.
- *       404:
- *         description: User not found.
+ *         description: Session revoked.
  */
-// Update User API
-app.put('/api/users/:id', authenticateToken, async (req, res) => {
-    const { id } = req.params;
-    const { email, full_name, is_active, is_admin, role, password } = req.body;
-
-    const updateData = {};
-    if (email) updateData.email = email;
-    if (full_name) updateData.full_name = full_name;
-    if (is_active !== undefined) updateData.is_active = is_active;
-    if (is_admin !== undefined) updateData.is_admin = is_admin;
-    if (role) updateData.role = role;
-
+// Logout API
+app.post('/api/logout', authenticateToken, rejectApiKey, async (req, res) => {
     try {
-        if (password) {
-            const salt = await bcrypt.genSalt(10);
-            updateData.password_hash = await bcrypt.hash(password, salt);
-        }
-
-        const { data, error } = await supabase
-            .from('users')
-            .update(updateData)
-            .eq('id', id)
-            .select('id, email, full_name, is_active, is_admin, role, created_at')
-            .single();
+        const { error } = await supabase
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.user.sid);
 
         if (error) throw error;
-        if (!data) return res.status(404).json({ error: 'User not found' });
-
-        res.json({ message: 'User updated successfully', user: data });
+        res.json({ message: 'Logged out successfully' });
     } catch (err) {
-        console.error('Update user error:', err);
+        console.error('Logout error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/parameters:
- *   get:
- *     summary: Get all parameters
+ * /api/logout-all:
+ *   post:
+ *     summary: Log out every session of the current user
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all parameters.
+ *         description: All sessions revoked.
  */
-// Get All Parameters API
-app.get('/api/parameters', authenticateToken, async (req, res) => {
+// Logout All Sessions API
+app.post('/api/logout-all', authenticateToken, rejectApiKey, async (req, res) => {
     try {
-        const { data: parameters, error } = await supabase
-            .from('mst_parameter')
-            .select('*')
-            .order('param_name', { ascending: true });
-
-        if (error) throw error;
-        res.json(parameters);
+        await revokeUserSessions(req.user.id);
+        res.json({ message: 'All sessions have been logged out' });
     } catch (err) {
-        console.error('Fetch parameters error:', err);
+        console.error('Logout all error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/parameters/{id}:
- *   get:
- *     summary: Get a parameter by ID
+ * /api/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Generates a new TOTP secret. Show otpauth_url as a QR code (Google Authenticator etc.), then confirm with POST /api/2fa/enable.
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
- *         description: Parameter details.
- *       404:
- *         description: Parameter not found.
+ *         description: Secret and otpauth:// provisioning URI.
+ *       400:
+ *         description: Two-factor authentication is already enabled.
  */
-// Get Parameter By ID API
-app.get('/api/parameters/:id', authenticateToken, async (req, res) => {
+// Two-Factor Setup API
+app.post('/api/2fa/setup', authenticateToken, rejectApiKey, async (req, res) => {
+    if (req.user.totp_enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
     try {
-        const { data: parameter, error } = await supabase
-            .from('mst_parameter')
-            .select('*')
-            .eq('id', req.params.id)
-            .single();
+        const secret = base32Encode(crypto.randomBytes(20));
+
+        const { error } = await supabase
+            .from('users')
+            .update({ totp_secret: secret, totp_enabled: false, totp_last_used_step: null })
+            .eq('id', req.user.id);
 
         if (error) throw error;
-        if (!parameter) return res.status(404).json({ error: 'Parameter not found' });
-        res.json(parameter);
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.email}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+            + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+        res.json({ secret, otpauth_url: otpauthUrl });
     } catch (err) {
-        console.error('Fetch parameter error:', err);
+        console.error('2FA setup error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/parameters:
+ * /api/2fa/enable:
  *   post:
- *     summary: Add a new parameter
+ *     summary: Confirm enrolment with a code from the authenticator app
+ *     description: Returns 10 one-time recovery codes. They are shown only once.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -566,240 +1374,6968 @@ app.get('/api/parameters/:id', authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - param_type
- *               - param_code
- *               - param_name
+ *               - code
  *             properties:
- *               param_type:
- *                 type: string
- *               param_code:
- *                 type: string
- *               param_name:
- *                 type: string
- *               param_value:
- *                 type: string
- *               description:
+ *               code:
  *                 type: string
- *               sort_order:
- *                 type: integer
- *               is_active:
- *                 type: boolean
  *     responses:
- *       201:
- *         description: Parameter created successfully.
+ *       200:
+ *         description: Two-factor authentication enabled; returns recovery codes.
+ *       400:
+ *         description: Invalid code or enrolment not started.
  */
-// Add Parameter API
-app.post('/api/parameters', authenticateToken, async (req, res) => {
-    const { param_type, param_code, param_name, param_value, description, sort_order, is_active } = req.body;
+// Two-Factor Enable API
+app.post('/api/2fa/enable', authenticateToken, rejectApiKey, async (req, res) => {
+    const { code } = req.body;
 
-    if (!param_type || !param_code || !param_name) {
-        return res.status(400).json({ error: 'param_type, param_code, and param_name are required' });
+    if (!code) {
+        return res.status(400).json({ error: 'code is required' });
     }
 
     try {
-        const { data, error } = await supabase
-            .from('mst_parameter')
-            .insert([
-                {
-                    param_type,
-                    param_code,
-                    param_name,
-                    param_value,
-                    description,
-                    sort_order: sort_order || 0,
-                    is_active: is_active !== undefined ? is_active : true,
-                    created_by: req.user.id
-                }
-            ])
-            .select()
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, totp_secret, totp_enabled')
+            .eq('id', req.user.id)
             .single();
 
         if (error) throw error;
-        res.status(201).json({ message: 'Parameter created successfully', data });
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.totp_secret) {
+            return res.status(400).json({ error: 'Start enrolment with POST /api/2fa/setup first' });
+        }
+
+        const step = verifyTotp(user.totp_secret, code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const { error: uError } = await supabase
+            .from('users')
+            .update({ totp_enabled: true, totp_recovery_codes: hashes, totp_last_used_step: step })
+            .eq('id', req.user.id);
+
+        if (uError) throw uError;
+
+        await recordAuthEvent('two_factor_enabled', { userId: req.user.id, actorId: req.user.id, ip: req.ip });
+
+        res.json({ message: 'Two-factor authentication enabled', recovery_codes: codes });
     } catch (err) {
-        console.error('Create parameter error:', err);
+        console.error('2FA enable error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/parameters/{id}:
- *   put:
- *     summary: Update a parameter
+ * /api/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes with a new set
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - code
  *             properties:
- *               param_type:
+ *               code:
  *                 type: string
- *               param_code:
+ *     responses:
+ *       200:
+ *         description: New recovery codes.
+ *       400:
+ *         description: Invalid code or 2FA not enabled.
+ */
+// Regenerate Recovery Codes API
+app.post('/api/2fa/recovery-codes', authenticateToken, rejectApiKey, async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ error: 'code is required' });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, totp_secret, totp_enabled, totp_last_used_step')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const step = verifyTotp(user.totp_secret, code, user.totp_last_used_step ?? null);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const { error: uError } = await supabase
+            .from('users')
+            .update({ totp_recovery_codes: hashes, totp_last_used_step: step })
+            .eq('id', req.user.id);
+
+        if (uError) throw uError;
+
+        res.json({ recovery_codes: codes });
+    } catch (err) {
+        console.error('2FA recovery codes error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed for roles that must use 2FA (admin).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
  *                 type: string
- *               param_name:
+ *               code:
  *                 type: string
- *               param_value:
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled.
+ *       400:
+ *         description: Wrong password or code.
+ *       403:
+ *         description: The user's role requires 2FA.
+ */
+// Two-Factor Disable API
+app.post('/api/2fa/disable', authenticateToken, rejectApiKey, async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        return res.status(400).json({ error: 'password and code are required' });
+    }
+
+    if (requiresTwoFactor(req.user)) {
+        return res.status(403).json({ error: 'Two-factor authentication is required for this role' });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, password_hash, totp_secret, totp_enabled, totp_last_used_step')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password_hash);
+        if (!isMatch || verifyTotp(user.totp_secret, code, user.totp_last_used_step ?? null) === null) {
+            return res.status(400).json({ error: 'Invalid password or two-factor code' });
+        }
+
+        const { error: uError } = await supabase
+            .from('users')
+            .update({ totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_used_step: null })
+            .eq('id', req.user.id);
+
+        if (uError) throw uError;
+
+        await recordAuthEvent('two_factor_disabled', { userId: req.user.id, actorId: req.user.id, ip: req.ip });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        console.error('2FA disable error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/password/forgot:
+ *   post:
+ *     summary: Request a password reset OTP via WhatsApp
+ *     description: Always answers with the same message so it cannot be used to find registered emails. The OTP is sent to the account's phone_number and expires after 5 minutes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
  *                 type: string
- *               description:
+ *     responses:
+ *       200:
+ *         description: If the account exists and has a phone number, an OTP was sent.
+ *       429:
+ *         description: Too many OTP requests from this IP. Every request counts, including ones for unknown emails.
+ */
+// Forgot Password API
+app.post('/api/password/forgot', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const genericResponse = { message: 'If the account exists and has a registered phone number, an OTP has been sent via WhatsApp.' };
+    const windowStart = new Date(Date.now() - OTP_RATE_WINDOW_MINUTES * 60 * 1000).toISOString();
+
+    try {
+        const ipCount = await countPasswordResetAttempts(req, 'request');
+        if (ipCount >= OTP_MAX_REQUESTS_PER_IP) {
+            return res.status(429).json({ error: 'Too many OTP requests. Please try again later.' });
+        }
+
+        // Every request counts toward the per-IP limit, whether or not an OTP is sent
+        await recordPasswordResetAttempt(req, 'request', email, true);
+
+        const { data: user, error: uError } = await supabase
+            .from('users')
+            .select('id, full_name, phone_number, is_active')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (uError) throw uError;
+        if (!user || !user.is_active || !user.phone_number) {
+            return res.json(genericResponse);
+        }
+
+        const { count: accountCount, error: cError } = await supabase
+            .from('password_reset_otps')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .gte('created_at', windowStart);
+
+        if (cError) throw cError;
+        if (accountCount >= OTP_MAX_REQUESTS_PER_ACCOUNT) {
+            console.warn(`[Auth] OTP request limit reached for user ${user.id}, not sending.`);
+            return res.json(genericResponse);
+        }
+
+        // Only the newest OTP is valid
+        await supabase
+            .from('password_reset_otps')
+            .update({ consumed_at: new Date().toISOString() })
+            .eq('user_id', user.id)
+            .is('consumed_at', null);
+
+        const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const { error: iError } = await supabase
+            .from('password_reset_otps')
+            .insert({
+                user_id: user.id,
+                otp_hash: hashToken(`${user.id}:${otp}`),
+                expires_at: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+                attempts: 0,
+                ip_address: req.ip
+            });
+
+        if (iError) throw iError;
+
+        const message = `Halo ${user.full_name || ''},\n\nKode OTP untuk reset password SORA Anda: *${otp}*\n\nKode berlaku ${OTP_TTL_MINUTES} menit. Jangan berikan kode ini kepada siapa pun.\n\n_Pesan ini dikirim otomatis oleh SORA (Smart Operating Room Access)._`;
+        const sendResult = await sendWhatsAppMessage(user.phone_number, message);
+        if (!sendResult?.success) {
+            console.error(`[Auth] Failed to send password reset OTP to user ${user.id}:`, sendResult);
+        }
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/password/verify-otp:
+ *   post:
+ *     summary: Verify a password reset OTP
+ *     description: |
+ *       Returns a reset_token valid for 10 minutes. Each OTP allows 5 attempts; an attempt is counted
+ *       before the code is compared, so concurrent guesses cannot exceed the limit. Wrong codes are
+ *       also limited per IP.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
  *                 type: string
- *               sort_order:
- *                 type: integer
- *               is_active:
- *                 type: boolean
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OTP is valid; returns reset_token.
+ *       400:
+ *         description: Invalid or expired OTP.
+ *       429:
+ *         description: Too many wrong attempts for this OTP or from this IP; request a new OTP or try again later.
+ */
+// Verify Password Reset OTP API
+app.post('/api/password/verify-otp', async (req, res) => {
+    const { email, otp } = req.body;
+
+    if (!email || !otp) {
+        return res.status(400).json({ error: 'Email and otp are required' });
+    }
+
+    try {
+        const ipFailures = await countPasswordResetAttempts(req, 'verify', { failedOnly: true });
+        if (ipFailures >= OTP_MAX_VERIFY_FAILURES_PER_IP) {
+            return res.status(429).json({ error: 'Too many wrong attempts. Please try again later.' });
+        }
+
+        const { data: user, error: uError } = await supabase
+            .from('users')
+            .select('id')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (uError) throw uError;
+        if (!user) {
+            await recordPasswordResetAttempt(req, 'verify', email, false);
+            return res.status(400).json({ error: 'Invalid or expired OTP' });
+        }
+
+        const { data: otpRow, error: oError } = await supabase
+            .from('password_reset_otps')
+            .select('id, otp_hash, attempts, expires_at')
+            .eq('user_id', user.id)
+            .is('consumed_at', null)
+            .is('verified_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (oError) throw oError;
+        if (!otpRow) {
+            await recordPasswordResetAttempt(req, 'verify', email, false);
+            return res.status(400).json({ error: 'Invalid or expired OTP' });
+        }
+
+        if (otpRow.attempts >= OTP_MAX_ATTEMPTS) {
+            return res.status(429).json({ error: 'Too many wrong attempts. Please request a new OTP.' });
+        }
+
+        // Claim the attempt before comparing: the update only succeeds if no concurrent guess got there first
+        const attempts = otpRow.attempts + 1;
+        const { data: claimed, error: aError } = await supabase
+            .from('password_reset_otps')
+            .update({ attempts })
+            .eq('id', otpRow.id)
+            .eq('attempts', otpRow.attempts)
+            .select('id')
+            .maybeSingle();
+
+        if (aError) throw aError;
+        if (!claimed) {
+            await recordPasswordResetAttempt(req, 'verify', email, false);
+            return res.status(429).json({ error: 'Another attempt for this OTP is in progress. Please try again.' });
+        }
+
+        if (otpRow.otp_hash !== hashToken(`${user.id}:${String(otp).trim()}`)) {
+            await recordPasswordResetAttempt(req, 'verify', email, false);
+            return res.status(400).json({
+                error: 'Invalid or expired OTP',
+                attempts_remaining: Math.max(OTP_MAX_ATTEMPTS - attempts, 0)
+            });
+        }
+
+        const { data: verified, error: vError } = await supabase
+            .from('password_reset_otps')
+            .update({ verified_at: new Date().toISOString() })
+            .eq('id', otpRow.id)
+            .is('verified_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (vError) throw vError;
+        if (!verified) {
+            return res.status(400).json({ error: 'Invalid or expired OTP' });
+        }
+
+        await recordPasswordResetAttempt(req, 'verify', email, true);
+
+        const resetToken = jwt.sign(
+            { id: user.id, otp_id: otpRow.id, purpose: 'password_reset' },
+            process.env.JWT_SECRET || 'fallback_secret',
+            { expiresIn: PASSWORD_RESET_TOKEN_TTL }
+        );
+
+        res.json({ message: 'OTP verified', reset_token: resetToken });
+    } catch (err) {
+        console.error('Verify OTP error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/password/reset:
+ *   post:
+ *     summary: Set a new password using a verified reset_token
+ *     description: All existing sessions of the account are logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reset_token
+ *               - new_password
+ *             properties:
+ *               reset_token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password has been reset.
+ *       400:
+ *         description: Invalid or already used reset token, or password too short.
+ */
+// Reset Password API
+app.post('/api/password/reset', async (req, res) => {
+    const { reset_token, new_password } = req.body;
+
+    if (!reset_token || !new_password) {
+        return res.status(400).json({ error: 'reset_token and new_password are required' });
+    }
+
+    if (String(new_password).length < PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(reset_token, process.env.JWT_SECRET || 'fallback_secret');
+    } catch (err) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    if (decoded.purpose !== 'password_reset') {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    try {
+        // Consume the OTP first so the reset token works only once
+        const { data: otpRow, error: oError } = await supabase
+            .from('password_reset_otps')
+            .update({ consumed_at: new Date().toISOString() })
+            .eq('id', decoded.otp_id)
+            .eq('user_id', decoded.id)
+            .not('verified_at', 'is', null)
+            .is('consumed_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (oError) throw oError;
+        if (!otpRow) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordUpdate = {
+            password_hash: await bcrypt.hash(new_password, salt),
+            password_changed_at: new Date().toISOString()
+        };
+        const { error: uError } = await supabase
+            .from('users')
+            .update(passwordUpdate)
+            .eq('id', decoded.id);
+
+        if (uError) throw uError;
+
+        await revokeUserSessions(decoded.id);
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: decoded.id,
+            action: 'update',
+            after: passwordUpdate,
+            actorId: decoded.id
+        });
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/roles:
+ *   get:
+ *     summary: List the available roles and the permissions each one grants
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions, plus the permissions of the current user's role.
+ */
+// Get Roles API
+app.get('/api/roles', authenticateToken, (req, res) => {
+    const currentRole = req.user.is_admin ? 'admin' : normalizeRole(req.user.role);
+    res.json({
+        roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions })),
+        current: {
+            role: currentRole,
+            permissions: currentRole ? ROLE_PERMISSIONS[currentRole] : []
+        }
+    });
+});
+
+/**
+ * @openapi
+ * /api/me:
+ *   get:
+ *     summary: Get the profile of the logged-in user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile of the current user with the permissions of their role.
+ */
+// Get Own Profile API
+app.get('/api/me', authenticateToken, rejectApiKey, async (req, res) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name, phone_number, role, is_active, is_admin, totp_enabled, created_at')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        const role = user.is_admin ? 'admin' : normalizeRole(user.role);
+        res.json({
+            ...user,
+            permissions: role ? ROLE_PERMISSIONS[role] : []
+        });
+    } catch (err) {
+        console.error('Fetch profile error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/me:
+ *   patch:
+ *     summary: Update the profile of the logged-in user
+ *     description: Only full_name and phone_number can be changed here. Role, admin flag and status are managed by admins via PUT /api/users/{id}.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               full_name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully.
+ *       400:
+ *         description: No updatable fields, or fields that cannot be changed here.
+ */
+// Update Own Profile API
+app.patch('/api/me', authenticateToken, rejectApiKey, async (req, res) => {
+    const allowedFields = ['full_name', 'phone_number'];
+    const rejectedFields = Object.keys(req.body).filter(field => !allowedFields.includes(field));
+
+    if (rejectedFields.length > 0) {
+        return res.status(400).json({ error: `These fields cannot be changed here: ${rejectedFields.join(', ')}` });
+    }
+
+    const updateData = {};
+    if (req.body.full_name !== undefined) {
+        if (!String(req.body.full_name).trim()) {
+            return res.status(400).json({ error: 'full_name cannot be empty' });
+        }
+        updateData.full_name = String(req.body.full_name).trim();
+    }
+    if (req.body.phone_number !== undefined) updateData.phone_number = req.body.phone_number || null;
+
+    if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update. Allowed fields: full_name, phone_number' });
+    }
+
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('users')
+            .select('id, email, full_name, phone_number, role, is_active, is_admin, totp_enabled, created_at')
+            .eq('id', req.user.id)
+            .single();
+
+        if (bError) throw bError;
+
+        const { data, error } = await supabase
+            .from('users')
+            .update(updateData)
+            .eq('id', req.user.id)
+            .select('id, email, full_name, phone_number, role, is_active, is_admin, totp_enabled, created_at')
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { entity: 'users', entityId: req.user.id, action: 'update', before, after: data });
+
+        res.json({ message: 'Profile updated successfully', user: data });
+    } catch (err) {
+        console.error('Update profile error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/me/password:
+ *   post:
+ *     summary: Change the password of the logged-in user
+ *     description: All sessions are logged out; new tokens for the current client are returned.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed; returns new token and refresh_token.
+ *       400:
+ *         description: Current password is wrong or new password is too short.
+ */
+// Change Own Password API
+app.post('/api/me/password', authenticateToken, rejectApiKey, async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+        return res.status(400).json({ error: 'current_password and new_password are required' });
+    }
+
+    if (String(new_password).length < PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        const isMatch = await bcrypt.compare(current_password, user.password_hash);
+        if (!isMatch) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordUpdate = {
+            password_hash: await bcrypt.hash(new_password, salt),
+            password_changed_at: new Date().toISOString()
+        };
+        const { error: uError } = await supabase
+            .from('users')
+            .update(passwordUpdate)
+            .eq('id', req.user.id);
+
+        if (uError) throw uError;
+
+        await revokeUserSessions(req.user.id);
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: req.user.id,
+            action: 'update',
+            before: { password_hash: user.password_hash, password_changed_at: user.password_changed_at },
+            after: passwordUpdate
+        });
+
+        // Signed after password_changed_at, so this new session stays valid
+        const tokens = await createSession(user, req);
+
+        res.json({ message: 'Password changed successfully', ...tokens });
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users:
+ *   get:
+ *     summary: Get all users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: approval_status
+ *         description: Only users with this status, e.g. "pending" for sign-ups awaiting approval
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: List of all users.
+ *       401:
+ *         description: Unauthorized.
+ */
+// Get All Users API
+app.get('/api/users', authenticateToken, authorize('users:read'), async (req, res) => {
+    try {
+        let query = supabase
+            .from('users')
+            .select('id, email, full_name, phone_number, role, is_active, is_admin, approval_status, failed_login_count, locked_until, created_at');
+
+        if (req.query.approval_status) {
+            query = query.eq('approval_status', req.query.approval_status);
+        }
+
+        const { data: users, error } = await query
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        res.json(users);
+    } catch (err) {
+        console.error('Fetch users error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users:
+ *   post:
+ *     summary: Add a new user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - full_name
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               full_name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *               is_admin:
+ *                 type: boolean
+ *               role:
+ *                 type: string
+ *                 enum: [admin, scheduler, ward_nurse, viewer]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: User created successfully.
+ *       400:
+ *         description: Email already registered.
+ */
+// Add User API
+app.post('/api/users', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { email, password, full_name, phone_number, is_admin, role } = req.body;
+
+    if (!email || !password || !full_name) {
+        return res.status(400).json({ error: 'Email, password, and full name are required' });
+    }
+
+    if (role && !normalizeRole(role)) {
+        return res.status(400).json({ error: `Invalid role. Allowed roles: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+
+    try {
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        const { data, error } = await supabase
+            .from('users')
+            .insert([
+                {
+                    email,
+                    password_hash: passwordHash,
+                    full_name,
+                    phone_number,
+                    is_active: true,
+                    is_admin: is_admin || false,
+                    role: role ? normalizeRole(role) : 'viewer'
+                }
+            ])
+            .select('id, email, full_name, phone_number, is_active, is_admin, role, created_at')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ error: 'Email already registered' });
+            }
+            throw error;
+        }
+
+        await recordAudit(req, { entity: 'users', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({ message: 'User created successfully', user: data });
+    } catch (err) {
+        console.error('Create user error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               full_name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *               is_admin:
+ *                 type: boolean
+ *               role:
+ *                 type: string
+ *                 enum: [admin, scheduler, ward_nurse, viewer]
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User updated successfully.
+ *       404:
+ *         description: User not found.
+ */
+// Update User API
+app.put('/api/users/:id', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { id } = req.params;
+    const { email, full_name, phone_number, is_active, is_admin, role, password } = req.body;
+
+    if (role && !normalizeRole(role)) {
+        return res.status(400).json({ error: `Invalid role. Allowed roles: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+
+    const updateData = {};
+    if (email) updateData.email = email;
+    if (full_name) updateData.full_name = full_name;
+    if (phone_number !== undefined) updateData.phone_number = phone_number;
+    if (is_active !== undefined) updateData.is_active = is_active;
+    if (is_admin !== undefined) updateData.is_admin = is_admin;
+    if (role) updateData.role = normalizeRole(role);
+
+    try {
+        if (password) {
+            const salt = await bcrypt.genSalt(10);
+            updateData.password_hash = await bcrypt.hash(password, salt);
+            updateData.password_changed_at = new Date().toISOString();
+        }
+
+        const { data: before, error: bError } = await supabase
+            .from('users')
+            .select('id, email, full_name, phone_number, is_active, is_admin, role, created_at, password_changed_at')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'User not found' });
+
+        const { data, error } = await supabase
+            .from('users')
+            .update(updateData)
+            .eq('id', id)
+            .select('id, email, full_name, phone_number, is_active, is_admin, role, created_at, password_changed_at')
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: id,
+            action: 'update',
+            before,
+            after: password ? { ...data, password_hash: updateData.password_hash } : data
+        });
+
+        // A deactivated account or a new password ends all existing sessions
+        if (password || is_active === false) {
+            await revokeUserSessions(id);
+        }
+
+        res.json({ message: 'User updated successfully', user: data });
+    } catch (err) {
+        console.error('Update user error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account locked after failed logins
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked.
+ *       404:
+ *         description: User not found.
+ */
+// Unlock User API
+app.post('/api/users/:id/unlock', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from('users')
+            .update({ failed_login_count: 0, locked_until: null })
+            .eq('id', id)
+            .select('id, email, full_name, locked_until')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'User not found' });
+
+        await recordAuthEvent('account_unlocked', { userId: id, actorId: req.user.id, ip: req.ip });
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: id,
+            action: 'update',
+            after: { failed_login_count: 0, locked_until: null }
+        });
+
+        res.json({ message: 'User unlocked successfully', user: data });
+    } catch (err) {
+        console.error('Unlock user error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication (lost device)
+ *     description: The user must enrol again; their sessions are logged out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset.
+ *       404:
+ *         description: User not found.
+ */
+// Reset User Two-Factor API
+app.post('/api/users/:id/2fa/reset', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from('users')
+            .update({ totp_enabled: false, totp_secret: null, totp_recovery_codes: null, totp_last_used_step: null })
+            .eq('id', id)
+            .select('id, email, full_name')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'User not found' });
+
+        await revokeUserSessions(id);
+        await recordAuthEvent('two_factor_reset', { userId: id, actorId: req.user.id, ip: req.ip });
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: id,
+            action: 'update',
+            after: { totp_enabled: false, totp_secret: null, totp_recovery_codes: null }
+        });
+
+        res.json({ message: 'Two-factor authentication reset successfully', user: data });
+    } catch (err) {
+        console.error('Reset 2FA error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/approve:
+ *   post:
+ *     summary: Approve a pending self-registration
+ *     description: Activates the account with the given role and notifies the user via WhatsApp when a phone number is known.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, scheduler, ward_nurse, viewer]
+ *                 default: viewer
+ *     responses:
+ *       200:
+ *         description: User approved.
+ *       404:
+ *         description: No pending user with this ID.
+ */
+// Approve User API
+app.post('/api/users/:id/approve', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { id } = req.params;
+    const role = normalizeRole(req.body?.role || DEFAULT_ROLE);
+
+    if (!role) {
+        return res.status(400).json({ error: `Invalid role. Allowed roles: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+
+    try {
+        const { data: before, error: fetchError } = await supabase
+            .from('users')
+            .select('approval_status, is_active, role')
+            .eq('id', id)
+            .eq('approval_status', 'pending')
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!before) return res.status(404).json({ error: 'Pending user not found' });
+
+        const { data, error } = await supabase
+            .from('users')
+            .update({ approval_status: 'approved', is_active: true, role })
+            .eq('id', id)
+            .eq('approval_status', 'pending')
+            .select('id, email, full_name, phone_number, role, is_active, approval_status')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Pending user not found' });
+
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: id,
+            action: 'update',
+            before,
+            after: { approval_status: data.approval_status, is_active: data.is_active, role: data.role }
+        });
+
+        let notification = null;
+        if (data.phone_number) {
+            const message = `Halo ${data.full_name || data.email},\n\nAkun SORA Anda (${data.email}) telah disetujui. Silakan login untuk mulai menggunakan aplikasi.\n\n_Pesan ini dikirim otomatis oleh SORA (Smart Operating Room Access)._`;
+            notification = await sendWhatsAppMessage(data.phone_number, message);
+        }
+
+        res.json({ message: 'User approved successfully', user: data, notification });
+    } catch (err) {
+        console.error('Approve user error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/reject:
+ *   post:
+ *     summary: Reject a pending self-registration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User rejected.
+ *       404:
+ *         description: No pending user with this ID.
+ */
+// Reject User API
+app.post('/api/users/:id/reject', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from('users')
+            .update({ approval_status: 'rejected', is_active: false })
+            .eq('id', id)
+            .eq('approval_status', 'pending')
+            .select('id, email, full_name, is_active, approval_status')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Pending user not found' });
+
+        await recordAudit(req, {
+            entity: 'users',
+            entityId: id,
+            action: 'update',
+            before: { approval_status: 'pending' },
+            after: { approval_status: data.approval_status }
+        });
+
+        res.json({ message: 'User rejected successfully', user: data });
+    } catch (err) {
+        console.error('Reject user error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/invitations:
+ *   get:
+ *     summary: List user invitations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first.
+ */
+// Get Invitations API
+app.get('/api/invitations', authenticateToken, authorize('users:write'), async (req, res) => {
+    try {
+        const { data: invitations, error } = await supabase
+            .from('user_invitations')
+            .select('id, email, role, expires_at, used_at, used_by, revoked_at, created_at, user_created:created_by(full_name)')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json(invitations.map(inv => ({
+            ...inv,
+            user_created: inv.user_created?.full_name || null
+        })));
+    } catch (err) {
+        console.error('Fetch invitations error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/invitations:
+ *   post:
+ *     summary: Create an invitation link with a preset role
+ *     description: The token is returned only once. invite_url is built from the APP_URL environment variable when it is set.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Restrict the invitation to this email address
+ *               role:
+ *                 type: string
+ *                 enum: [admin, scheduler, ward_nurse, viewer]
+ *               expires_in_days:
+ *                 type: integer
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created.
+ */
+// Add Invitation API
+app.post('/api/invitations', authenticateToken, authorize('users:write'), async (req, res) => {
+    const { email, role, expires_in_days } = req.body;
+
+    if (!role || !normalizeRole(role)) {
+        return res.status(400).json({ error: `A valid role is required. Allowed roles: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+
+    const ttlDays = parseInt(expires_in_days) || INVITATION_DEFAULT_TTL_DAYS;
+    if (ttlDays < 1) {
+        return res.status(400).json({ error: 'expires_in_days must be at least 1' });
+    }
+
+    try {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const { data, error } = await supabase
+            .from('user_invitations')
+            .insert({
+                email: email || null,
+                role: normalizeRole(role),
+                token_hash: hashToken(token),
+                expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+                created_by: req.user.id
+            })
+            .select('id, email, role, expires_at, created_at')
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { entity: 'user_invitations', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({
+            message: 'Invitation created successfully',
+            invite_token: token,
+            invite_url: process.env.APP_URL ? `${process.env.APP_URL}/register?invite=${token}` : null,
+            data
+        });
+    } catch (err) {
+        console.error('Create invitation error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an unused invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked.
+ *       404:
+ *         description: Invitation not found, already used or revoked.
+ */
+// Revoke Invitation API
+app.delete('/api/invitations/:id', authenticateToken, authorize('users:write'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_invitations')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .is('used_at', null)
+            .is('revoked_at', null)
+            .select('id, email, role, revoked_at')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Invitation not found' });
+
+        await recordAudit(req, {
+            entity: 'user_invitations',
+            entityId: data.id,
+            action: 'update',
+            before: { revoked_at: null },
+            after: { revoked_at: data.revoked_at }
+        });
+
+        res.json({ message: 'Invitation revoked successfully', data });
+    } catch (err) {
+        console.error('Revoke invitation error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys without their secret values.
+ */
+// Get API Keys API
+app.get('/api/api-keys', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+    try {
+        const { data: keys, error } = await supabase
+            .from('api_keys')
+            .select('id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at, user_created:created_by(full_name)')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json(keys.map(key => ({
+            ...key,
+            user_created: key.user_created?.full_name || null
+        })));
+    } catch (err) {
+        console.error('Fetch API keys error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key for a machine-to-machine client
+ *     description: The key is returned only once. Send it as "Authorization Bearer <key>" or in the X-API-Key header.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: SIMRS
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [registrations:read, registrations:write, parameters:read, reports:read]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Leave empty for a key that does not expire
+ *     responses:
+ *       201:
+ *         description: API key created; the plain key is in the "key" field.
+ *       400:
+ *         description: Missing name, invalid scopes or expiry in the past.
+ */
+// Add API Key API
+app.post('/api/api-keys', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+    const { name, scopes, expires_at } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ error: 'name and at least one scope are required' });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+        return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}. Allowed scopes: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    if (expires_at && !(new Date(expires_at) > new Date())) {
+        return res.status(400).json({ error: 'expires_at must be a valid date in the future' });
+    }
+
+    try {
+        const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        const { data, error } = await supabase
+            .from('api_keys')
+            .insert({
+                name,
+                key_prefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+                key_hash: hashToken(apiKey),
+                scopes,
+                expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+                created_by: req.user.id
+            })
+            .select('id, name, key_prefix, scopes, expires_at, created_at')
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { entity: 'api_keys', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({ message: 'API key created successfully. Store the key now; it will not be shown again.', key: apiKey, data });
+    } catch (err) {
+        console.error('Create API key error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked.
+ *       404:
+ *         description: API key not found or already revoked.
+ */
+// Revoke API Key API
+app.delete('/api/api-keys/:id', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .is('revoked_at', null)
+            .select('id, name, key_prefix, scopes, expires_at, revoked_at')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'API key not found' });
+
+        await recordAudit(req, {
+            entity: 'api_keys',
+            entityId: data.id,
+            action: 'update',
+            before: { revoked_at: null },
+            after: { revoked_at: data.revoked_at }
+        });
+
+        res.json({ message: 'API key revoked successfully', data });
+    } catch (err) {
+        console.error('Revoke API key error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/parameters:
+ *   get:
+ *     summary: Get all parameters
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of all parameters.
+ */
+// Get All Parameters API
+app.get('/api/parameters', authenticateToken, authorize('parameters:read'), async (req, res) => {
+    try {
+        const { data: parameters, error } = await supabase
+            .from('mst_parameter')
+            .select('*')
+            .is('deleted_at', null)
+            .order('param_name', { ascending: true });
+
+        if (error) throw error;
+        res.json(parameters.map(p => redactSecretParameter(p, req.user)));
+    } catch (err) {
+        console.error('Fetch parameters error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/parameters/{id}:
+ *   get:
+ *     summary: Get a parameter by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parameter details The ETag header carries the current version for If-Match.
+ *       304:
+ *         description: Not modified (If-None-Match matched the current ETag).
+ *       404:
+ *         description: Parameter not found.
+ */
+// Get Parameter By ID API
+app.get('/api/parameters/:id', authenticateToken, authorize('parameters:read'), async (req, res) => {
+    try {
+        const { data: parameter, error } = await supabase
+            .from('mst_parameter')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', req.params.id)
+            .single();
+
+        if (error) throw error;
+        if (!parameter) return res.status(404).json({ error: 'Parameter not found' });
+        res.set('ETag', versionEtag(parameter)).json(redactSecretParameter(parameter, req.user));
+    } catch (err) {
+        console.error('Fetch parameter error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/parameters:
+ *   post:
+ *     summary: Add a new parameter
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - param_type
+ *               - param_code
+ *               - param_name
+ *             properties:
+ *               param_type:
+ *                 type: string
+ *               param_code:
+ *                 type: string
+ *               param_name:
+ *                 type: string
+ *               param_value:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               sort_order:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Parameter created successfully.
+ *       409:
+ *         description: The param_code is taken, possibly by a deleted parameter still in the trash (trashed_id); restore that one instead.
+ */
+// Add Parameter API
+app.post('/api/parameters', authenticateToken, authorize('parameters:write'), async (req, res) => {
+    const { param_type, param_code, param_name, param_value, description, sort_order, is_active } = req.body;
+
+    if (!param_type || !param_code || !param_name) {
+        return res.status(400).json({ error: 'param_type, param_code, and param_name are required' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('mst_parameter')
+            .insert([
+                {
+                    param_type,
+                    param_code,
+                    param_name,
+                    param_value,
+                    description,
+                    sort_order: sort_order || 0,
+                    is_active: is_active !== undefined ? is_active : true,
+                    version: 1,
+                    created_by: req.user.id
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                // Soft-deleted parameters keep their code, so a row in the trash can block re-creating it
+                const { data: trashed, error: tError } = await supabase
+                    .from('mst_parameter')
+                    .select('id')
+                    .eq('param_code', param_code)
+                    .not('deleted_at', 'is', null)
+                    .limit(1);
+
+                if (tError) throw tError;
+                if (trashed.length > 0) {
+                    return res.status(409).json({
+                        error: 'A deleted parameter with this code is in the trash. Restore it via /api/trash/parameters/{id}/restore instead.',
+                        trashed_id: trashed[0].id
+                    });
+                }
+                return res.status(409).json({ error: 'A parameter with this code already exists' });
+            }
+            throw error;
+        }
+
+        await recordAudit(req, { entity: 'mst_parameter', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({ message: 'Parameter created successfully', data });
+    } catch (err) {
+        console.error('Create parameter error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/parameters/{id}:
+ *   put:
+ *     summary: Update a parameter
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Version the edit is based on (alternative to If-Match).
+ *               param_type:
+ *                 type: string
+ *               param_code:
+ *                 type: string
+ *               param_name:
+ *                 type: string
+ *               param_value:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               sort_order:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Parameter updated successfully. The ETag header carries the new version.
+ *       404:
+ *         description: Parameter not found.
+ *       409:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ */
+// Update Parameter API
+app.put('/api/parameters/:id', authenticateToken, authorize('parameters:write'), async (req, res) => {
+    const { id } = req.params;
+    const { version: bodyVersion, ...body } = req.body || {};
+
+    const updateData = {
+        ...body,
+        updated_at: new Date().toISOString(),
+        updated_by: req.user.id
+    };
+
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('mst_parameter')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Parameter not found' });
+
+        const precondition = checkWritePrecondition(req, before, bodyVersion);
+        if (precondition) return sendStaleWrite(res, precondition, redactSecretParameter(before, req.user));
+
+        const { data, error } = await whereVersion(supabase
+            .from('mst_parameter')
+            .update({ ...updateData, version: nextVersion(before) })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            const { data: current, error: cError } = await supabase
+                .from('mst_parameter')
+                .select('*')
+                .is('deleted_at', null)
+                .eq('id', id)
+                .maybeSingle();
+
+            if (cError) throw cError;
+            if (!current) return res.status(404).json({ error: 'Parameter not found' });
+            return sendStaleWrite(res, req.get('If-Match') ? 412 : 409, redactSecretParameter(current, req.user));
+        }
+
+        await recordAudit(req, { entity: 'mst_parameter', entityId: id, action: 'update', before, after: data });
+
+        res.set('ETag', versionEtag(data)).json({ message: 'Parameter updated successfully', data });
+    } catch (err) {
+        console.error('Update parameter error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/parameters/{id}:
+ *   delete:
+ *     summary: Delete a parameter
+ *     description: Moves it to the trash (soft delete). See /api/trash.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Parameter deleted successfully.
+ *       404:
+ *         description: Parameter not found.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ */
+// Delete Parameter API
+app.delete('/api/parameters/:id', authenticateToken, authorize('parameters:write'), async (req, res) => {
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('mst_parameter')
+            .select('*')
+            .eq('id', req.params.id)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Parameter not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return sendStaleWrite(res, precondition, redactSecretParameter(before, req.user));
+
+        // Soft delete: the row moves to the trash and can be restored
+        const { data, error } = await whereVersion(supabase
+            .from('mst_parameter')
+            .update({ deleted_at: new Date().toISOString(), deleted_by: req.user.id, version: nextVersion(before) })
+            .eq('id', req.params.id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: STALE_WRITE_MESSAGE });
+
+        await recordAudit(req, { entity: 'mst_parameter', entityId: req.params.id, action: 'delete', before, after: data });
+
+        res.json({ message: 'Parameter deleted successfully' });
+    } catch (err) {
+        console.error('Delete parameter error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Declared schema for pendaftaran_operasi payloads. Only these fields can be written by clients;
+// id, created_by, updated_by and timestamps are always set by the server.
+// paramType: the value must match the param_name of an active mst_parameter row of that type.
+const REGISTRATION_SCHEMA = {
+    waktu_pendaftaran: { type: 'datetime', required: true },
+    pendaftaran_dari: { type: 'string', maxLength: 100 },
+    ruangan_rawat_inap: { type: 'string', maxLength: 100, paramType: 'RUANG_RAWAT_INAP' },
+    jenis_operasi: { type: 'enum', values: ['ELEKTIF', 'CITO'] },
+    tanggal_rencana_operasi: { type: 'date' },
+    jam_rencana_operasi: { type: 'time' },
+    nama_pasien: { type: 'string', required: true, maxLength: 150 },
+    no_rekam_medis: { type: 'string', required: true, maxLength: 50 },
+    umur_tahun: { type: 'number', min: 0, max: 150 },
+    umur_bulan: { type: 'integer', min: 0, max: 1800 },
+    jenis_umur: { type: 'enum', values: ['hari', 'bulan', 'tahun'] },
+    jenis_kelamin: { type: 'string', maxLength: 20 },
+    nomor_telp_1: { type: 'phone' },
+    nomor_telp_2: { type: 'phone' },
+    diagnosis: { type: 'string', maxLength: 1000 },
+    rencana_tindakan: { type: 'string', maxLength: 1000 },
+    dokter_operator: { type: 'string', maxLength: 150 },
+    dokter_anestesi: { type: 'string', maxLength: 150 },
+    penjamin: { type: 'string', maxLength: 100, paramType: 'PENJAMIN' },
+    kelas: { type: 'string', maxLength: 50 },
+    klasifikasi_operasi: { type: 'enum', values: ['KHUSUS', 'BESAR', 'SEDANG', 'KECIL'] },
+    catatan: { type: 'string', maxLength: 1000 },
+    ruang_operasi: { type: 'string', maxLength: 100 },
+    tindakan_operasi: { type: 'string', maxLength: 255 },
+    durasi_rencana_menit: { type: 'integer', min: 1, max: 24 * 60 }
+};
+
+/**
+ * Check a single value against its field rule.
+ * @param {*} value - Incoming value (never null/undefined here).
+ * @param {object} rule - Entry from a payload schema such as REGISTRATION_SCHEMA.
+ * @returns {{value: *, error: string|null}} - Normalized value or an error message.
+ */
+function validateFieldValue(value, rule) {
+    switch (rule.type) {
+        case 'string':
+        case 'phone': {
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            const trimmed = value.trim();
+            if (rule.maxLength && trimmed.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+            if (rule.type === 'phone' && trimmed && !/^\+?[0-9][0-9\s-]{5,19}$/.test(trimmed)) return { error: 'must be a phone number (digits, spaces, dashes, optional leading +)' };
+            return { value: trimmed, error: null };
+        }
+        case 'enum': {
+            const match = rule.values.find(v => v.toLowerCase() === String(value).trim().toLowerCase());
+            if (!match) return { error: `must be one of: ${rule.values.join(', ')}` };
+            return { value: match, error: null };
+        }
+        case 'number':
+        case 'integer': {
+            const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof num !== 'number' || Number.isNaN(num)) return { error: 'must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(num)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && num < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && num > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value: num, error: null };
+        }
+        case 'date': {
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: 'must be a date in YYYY-MM-DD format' };
+            const date = new Date(`${value}T00:00:00Z`);
+            if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return { error: 'is not a valid calendar date' };
+            return { value, error: null };
+        }
+        case 'time': {
+            const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})(?::(\d{2}))?$/);
+            if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+                return { error: 'must be a time in HH:MM or HH:MM:SS format' };
+            }
+            return { value: `${match[1]}:${match[2]}:${match[3] || '00'}`, error: null };
+        }
+        case 'datetime': {
+            if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) return { error: 'must be an ISO 8601 date-time' };
+            return { value, error: null };
+        }
+        default:
+            return { value, error: null };
+    }
+}
+
+/**
+ * Validate a request payload against a declared schema and the mst_parameter lists.
+ * @param {object} schema - Field rules, e.g. REGISTRATION_SCHEMA.
+ * @param {object} body - Request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Update mode: required fields may be omitted.
+ * @param {Map<string, string[]>} [options.paramCache] - Reuses mst_parameter lists across calls (bulk import).
+ * @returns {Promise<{data: object, errors: Array<{field: string, message: string}>}>}
+ */
+async function validatePayload(schema, body, { partial = false, paramCache = null } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    Object.keys(body)
+        .filter(field => !schema[field])
+        .forEach(field => errors.push({ field, message: 'is not an allowed field' }));
+
+    for (const [field, rule] of Object.entries(schema)) {
+        if (!(field in body)) {
+            if (rule.required && !partial) errors.push({ field, message: 'is required' });
+            continue;
+        }
+
+        let value = body[field];
+        if (value === '' && rule.type !== 'string' && rule.type !== 'phone') value = null;
+
+        if (value === null || value === undefined) {
+            if (rule.required) errors.push({ field, message: 'is required' });
+            else data[field] = null;
+            continue;
+        }
+
+        const result = validateFieldValue(value, rule);
+        if (result.error) {
+            errors.push({ field, message: result.error });
+        } else if (rule.required && result.value === '') {
+            errors.push({ field, message: 'is required' });
+        } else {
+            data[field] = result.value;
+        }
+    }
+
+    // Values that must exist in mst_parameter lists
+    const paramFields = Object.entries(schema)
+        .filter(([field, rule]) => rule.paramType && data[field]);
+
+    for (const [field, rule] of paramFields) {
+        let names = paramCache?.get(rule.paramType);
+        if (!names) {
+            const { data: params, error } = await supabase
+                .from('mst_parameter')
+                .select('param_name')
+                .is('deleted_at', null)
+                .eq('param_type', rule.paramType)
+                .eq('is_active', true);
+
+            if (error) throw error;
+            names = params.map(p => p.param_name);
+            paramCache?.set(rule.paramType, names);
+        }
+
+        // Lists that are not configured yet are not enforced
+        if (names.length > 0 && !names.includes(data[field])) {
+            errors.push({ field, message: `must be one of the active ${rule.paramType} parameters` });
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Validate a pendaftaran_operasi payload against REGISTRATION_SCHEMA.
+ * @param {object} body - Request body.
+ * @param {object} [options] - See validatePayload.
+ * @returns {Promise<{data: object, errors: Array<{field: string, message: string}>}>}
+ */
+function validateRegistrationPayload(body, options) {
+    return validatePayload(REGISTRATION_SCHEMA, body, options);
+}
+
+// Registration status lifecycle. Rows created before statuses existed have status NULL
+// and are treated as 'registered'.
+const REGISTRATION_STATUS_TRANSITIONS = {
+    registered: ['scheduled', 'postponed', 'cancelled'],
+    scheduled: ['in_progress', 'postponed', 'cancelled'],
+    in_progress: ['done'],
+    postponed: ['scheduled', 'cancelled'],
+    done: [],
+    cancelled: []
+};
+const STATUSES_REQUIRING_REASON = ['postponed', 'cancelled'];
+
+/**
+ * Store status transitions in pendaftaran_operasi_status_history. Like recordAudit, a failure is
+ * logged and does not fail the request: the registration is already saved at this point, and a 500
+ * would make the client retry the write.
+ * @param {object} req - Express request (editor).
+ * @param {object|Array<object>} entries - { registration_id, from_status, to_status, reason } per transition.
+ * @returns {Promise<void>}
+ */
+async function recordStatusHistory(req, entries) {
+    const rows = [].concat(entries).map(({ registration_id, from_status = null, to_status, reason = null }) => ({
+        registration_id,
+        from_status,
+        to_status,
+        reason,
+        changed_by: req.user.id,
+        api_key_id: req.user.api_key_id || null
+    }));
+
+    const { error } = await supabase
+        .from('pendaftaran_operasi_status_history')
+        .insert(rows);
+
+    if (error) {
+        console.error(`[Status history] Failed to record ${rows.map(r => `${r.registration_id} → ${r.to_status}`).join(', ')}:`, error.message);
+    }
+}
+
+// Version history. Every write to pendaftaran_operasi bumps its version column and stores a full
+// snapshot in pendaftaran_operasi_versions. Rows written before versioning existed count as version 1.
+// Who/when bookkeeping columns are left out of diffs.
+const VERSION_IGNORED_FIELDS = ['version', 'updated_on', 'updated_by'];
+
+/**
+ * Version number for the next write of a registration.
+ * @param {object} row - Current row.
+ * @returns {number}
+ */
+function nextVersion(row) {
+    return (row.version || 1) + 1;
+}
+
+/**
+ * Store version snapshots after one or more registration writes. When the row had no version yet,
+ * its previous state is stored first as version 1 ("baseline") so the first change can be diffed.
+ * The write it follows is already stored, so failures are logged only.
+ * @param {object} req - Express request (editor).
+ * @param {object|Array<object>} changes - { before, after, action, sourceVersion } per written row.
+ * @returns {Promise<void>}
+ */
+async function recordRegistrationVersions(req, changes) {
+    const rows = [];
+
+    [].concat(changes).forEach(({ before = null, after, action, sourceVersion = null }) => {
+        if (before && !before.version) {
+            rows.push({
+                registration_id: before.id,
+                version: 1,
+                action: 'baseline',
+                snapshot: before,
+                changed_by: before.updated_by || before.created_by || null,
+                ...(before.updated_on || before.created_on ? { changed_at: before.updated_on || before.created_on } : {})
+            });
+        }
+        rows.push({
+            registration_id: after.id,
+            version: after.version,
+            action,
+            source_version: sourceVersion,
+            snapshot: after,
+            changed_by: req.user?.id || null,
+            api_key_id: req.user?.api_key_id || null
+        });
+    });
+
+    const { error } = await supabase
+        .from('pendaftaran_operasi_versions')
+        .insert(rows);
+
+    if (error) {
+        console.error(`[Versions] Failed to record ${rows.map(r => `${r.registration_id} v${r.version}`).join(', ')}:`, error.message);
+    }
+}
+
+/**
+ * Field-by-field changes between two snapshots, ignoring VERSION_IGNORED_FIELDS.
+ * @param {object|null} before
+ * @param {object} after
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffVersions(before, after) {
+    return Object.entries(diffRecords(before, after))
+        .filter(([field]) => !VERSION_IGNORED_FIELDS.includes(field))
+        .map(([field, { from, to }]) => ({ field, from, to }));
+}
+
+// Optimistic concurrency. Registrations and parameters expose their version column as a strong ETag.
+// Updates may send it back in If-Match (or as "version" in the body) and are refused when it is stale;
+// the write itself is also guarded on the version that was read, so two concurrent writers cannot both win.
+const STALE_WRITE_MESSAGE = 'This record was changed by someone else since you loaded it. Please reload and try again.';
+
+/**
+ * ETag for a versioned row.
+ * @param {object} row
+ * @returns {string}
+ */
+function versionEtag(row) {
+    return `"${row.version || 1}"`;
+}
+
+/**
+ * Version the client last saw, from If-Match or the body's version field.
+ * @param {import('express').Request} req
+ * @param {*} bodyVersion - "version" from the request body, if any.
+ * @returns {number|null}
+ */
+function clientVersion(req, bodyVersion) {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(String(req.get('If-Match') || '').split(',')[0].trim());
+    if (match) return Number(match[1]);
+    return Number.isInteger(Number(bodyVersion)) && bodyVersion !== null && bodyVersion !== '' ? Number(bodyVersion) : null;
+}
+
+/**
+ * Compare the client's precondition with the current row.
+ * @param {import('express').Request} req
+ * @param {object} row - Current row.
+ * @param {*} bodyVersion - "version" from the request body, if any.
+ * @returns {number|null} 412 when If-Match fails, 409 when the body version is stale, otherwise null.
+ */
+function checkWritePrecondition(req, row, bodyVersion) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch.trim() !== '*') {
+        const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        if (!tags.includes(versionEtag(row))) return 412;
+    }
+    if (bodyVersion !== undefined && bodyVersion !== null && Number(bodyVersion) !== (row.version || 1)) return 409;
+    return null;
+}
+
+/**
+ * Restrict an update to the version that was read.
+ * @param {object} query - Supabase update query.
+ * @param {object} row - Row as read before the update.
+ * @returns {object}
+ */
+function whereVersion(query, row) {
+    return row.version ? query.eq('version', row.version) : query.is('version', null);
+}
+
+/**
+ * Reply to a stale write with the current server state.
+ * @param {import('express').Response} res
+ * @param {number} status - 409 or 412.
+ * @param {object} current - Current row, already redacted for the caller.
+ * @param {object} [extra] - Additional response fields.
+ */
+function sendStaleWrite(res, status, current, extra = {}) {
+    res.status(status).set('ETag', versionEtag(current)).json({
+        error: STALE_WRITE_MESSAGE,
+        current_version: current.version || 1,
+        data: current,
+        ...extra
+    });
+}
+
+/**
+ * Reply to a stale registration write, including what changed since the version the client saw.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} options
+ * @param {string} options.id - Registration id.
+ * @param {object} [options.current] - Current row; fetched when omitted (after a guarded update matched nothing).
+ * @param {number} [options.status] - Defaults to 412 when If-Match was sent, otherwise 409.
+ * @param {*} [options.bodyVersion] - "version" from the request body, if any.
+ */
+async function respondStaleRegistration(req, res, { id, current = null, status = null, bodyVersion }) {
+    if (!current) {
+        const { data, error } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Registration not found' });
+        current = data;
+    }
+
+    let changes = null;
+    const seen = clientVersion(req, bodyVersion);
+    if (seen !== null && seen < (current.version || 1)) {
+        const { data: snapshot, error } = await supabase
+            .from('pendaftaran_operasi_versions')
+            .select('snapshot')
+            .eq('registration_id', id)
+            .eq('version', seen)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (snapshot) changes = diffVersions(snapshot.snapshot, current);
+    }
+
+    sendStaleWrite(res, status || (req.get('If-Match') ? 412 : 409), current, { changes_since_your_version: changes });
+}
+
+// PostgREST filter that keeps live bookings: not cancelled or postponed (including legacy NULL status).
+// Postponed registrations keep their old date and time until they are rescheduled.
+const ACTIVE_BOOKING_FILTER = 'status.is.null,status.not.in.(cancelled,postponed)';
+
+// PostgREST returns at most this many rows per request; reads that need every row go through fetchAllRows
+const READ_PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, page by page.
+ * @param {function(): object} buildQuery - Returns a fresh Supabase select with a stable (unique) order.
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += READ_PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + READ_PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < READ_PAGE_SIZE) break;
+    }
+    return rows;
+}
+
+// Trash (soft-deleted rows): entity name in the URL → table and the permission needed to manage it.
+// children lists the tables whose registration_id rows are deleted before a purged row.
+const TRASH_ENTITIES = {
+    registrations: {
+        table: 'pendaftaran_operasi',
+        permission: 'registrations:delete',
+        label: 'Registration',
+        children: ['pendaftaran_operasi_versions', 'pendaftaran_operasi_status_history', 'pendaftaran_operasi_reschedules', 'pendaftaran_operasi_checklist']
+    },
+    parameters: { table: 'mst_parameter', permission: 'parameters:write', label: 'Parameter', children: [] }
+};
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Rows purged per batch, keeping the id list of each .in() filter short enough for the request URL
+const PURGE_BATCH_SIZE = 100;
+
+// Trash routes: resolve :entity, then check its permission through authorize() so the 2FA gate applies too
+const authorizeTrashEntity = (req, res, next) => {
+    const config = TRASH_ENTITIES[req.params.entity];
+    if (!config) return res.status(404).json({ error: 'Unknown trash entity' });
+    return authorize(config.permission)(req, res, next);
+};
+
+// Scheduling: planned durations and overlap detection
+const FALLBACK_SURGERY_DURATION_MINUTES = 60;
+const SCHEDULE_FIELDS = ['tanggal_rencana_operasi', 'jam_rencana_operasi', 'durasi_rencana_menit', 'ruang_operasi', 'tindakan_operasi', 'dokter_operator', 'dokter_anestesi'];
+const MINUTES_PER_DAY = 24 * 60;
+const SCHEDULE_COLUMNS = 'id, nama_pasien, no_rekam_medis, tanggal_rencana_operasi, jam_rencana_operasi, durasi_rencana_menit, ruang_operasi, tindakan_operasi, dokter_operator, dokter_anestesi';
+
+/**
+ * Convert a "HH:MM[:SS]" time to minutes since midnight.
+ * @param {string} time - Time string.
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM".
+ * @param {number} totalMinutes - Minutes since midnight.
+ * @returns {string}
+ */
+function minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Move a "YYYY-MM-DD" date by a number of days.
+ * @param {string} date - Date string.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string}
+ */
+function shiftDate(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Load the default duration per tindakan_operasi from mst_parameter
+ * (param_type = 'DURASI_TINDAKAN', param_name = tindakan, param_value = minutes).
+ * DEFAULT_DURASI_OPERASI is used for anything not listed.
+ * @returns {Promise<{byTindakan: Object<string, number>, fallback: number}>}
+ */
+async function loadDurationDefaults() {
+    const { data: params, error } = await supabase
+        .from('mst_parameter')
+        .select('param_name, param_value')
+        .is('deleted_at', null)
+        .eq('param_type', 'DURASI_TINDAKAN')
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const byTindakan = {};
+    params.forEach(p => {
+        const minutes = parseInt(p.param_value);
+        if (minutes > 0) byTindakan[p.param_name.toUpperCase()] = minutes;
+    });
+
+    const fallback = parseInt(await getParameterValue('DEFAULT_DURASI_OPERASI')) || FALLBACK_SURGERY_DURATION_MINUTES;
+    return { byTindakan, fallback };
+}
+
+/**
+ * Planned duration of a registration: its own durasi_rencana_menit, else the default for its tindakan.
+ * @param {object} registration - Row or payload of pendaftaran_operasi.
+ * @param {{byTindakan: Object<string, number>, fallback: number}} defaults - From loadDurationDefaults().
+ * @returns {number} - Minutes.
+ */
+function plannedDuration(registration, defaults) {
+    if (registration.durasi_rencana_menit) return registration.durasi_rencana_menit;
+    const tindakan = registration.tindakan_operasi ? registration.tindakan_operasi.toUpperCase() : null;
+    return (tindakan && defaults.byTindakan[tindakan]) || defaults.fallback;
+}
+
+/**
+ * Normalize a doctor name for comparison.
+ * @param {string|null} name - Doctor name as entered.
+ * @returns {string|null}
+ */
+function normalizeDoctorName(name) {
+    return name ? name.trim().replace(/\s+/g, ' ').toUpperCase() : null;
+}
+
+/**
+ * Find bookings whose planned slot overlaps a registration's slot and that use the same
+ * operating room, or the same surgeon/anesthesiologist (in either doctor role).
+ * Bookings on the previous and next day are checked too, so cases running past midnight clash.
+ * @param {object} registration - Effective values of the registration being saved.
+ * @param {object} [options]
+ * @param {string|null} [options.excludeId] - ID of the registration itself when updating.
+ * @param {Array<object>} [options.pending] - Bookings not saved yet (earlier rows of a bulk import).
+ * @param {object} [options.defaults] - Preloaded loadDurationDefaults() result.
+ * @returns {Promise<Array<object>>} - One entry per clash (type: ruang_operasi, dokter_operator or dokter_anestesi).
+ */
+async function findScheduleConflicts(registration, { excludeId = null, pending = [], defaults: preloaded = null } = {}) {
+    const { tanggal_rencana_operasi: date, jam_rencana_operasi: time, ruang_operasi: room } = registration;
+    if (!date || !time) return [];
+
+    const defaults = preloaded || await loadDurationDefaults();
+    const start = timeToMinutes(time);
+    const end = start + plannedDuration(registration, defaults);
+
+    // Minutes to add to a booking's own start to place it on this registration's day
+    const dayOffsets = { [shiftDate(date, -1)]: -MINUTES_PER_DAY, [date]: 0, [shiftDate(date, 1)]: MINUTES_PER_DAY };
+
+    let query = supabase
+        .from('pendaftaran_operasi')
+        .select(SCHEDULE_COLUMNS)
+        .is('deleted_at', null)
+        .or(ACTIVE_BOOKING_FILTER)
+        .in('tanggal_rencana_operasi', Object.keys(dayOffsets))
+        .not('jam_rencana_operasi', 'is', null);
+
+    if (excludeId) query = query.neq('id', excludeId);
+
+    const { data: saved, error } = await query;
+    if (error) throw error;
+
+    const bookings = [
+        ...saved,
+        ...pending.filter(b => b.tanggal_rencana_operasi in dayOffsets && b.jam_rencana_operasi)
+    ];
+    const doctorFields = ['dokter_operator', 'dokter_anestesi'];
+    const conflicts = [];
+
+    bookings.forEach(booking => {
+        const ownStart = timeToMinutes(booking.jam_rencana_operasi);
+        const duration = plannedDuration(booking, defaults);
+        const otherStart = ownStart + dayOffsets[booking.tanggal_rencana_operasi];
+        const otherEnd = otherStart + duration;
+        if (!(start < otherEnd && otherStart < end)) return;
+
+        const ownEnd = minutesToTime((ownStart + duration) % MINUTES_PER_DAY);
+        const slot = `${minutesToTime(ownStart)} to ${ownEnd} on ${booking.tanggal_rencana_operasi}`;
+        const clash = (type, message) => conflicts.push({
+            type,
+            message,
+            overlap_minutes: Math.min(end, otherEnd) - Math.max(start, otherStart),
+            booking: { ...booking, jam_selesai_rencana: ownEnd }
+        });
+
+        if (room && booking.ruang_operasi === room) {
+            clash('ruang_operasi', `${room} is already booked from ${slot}`);
+        }
+
+        // A doctor cannot be in two places at once, whichever role they have in the other case
+        const otherDoctors = doctorFields.map(field => normalizeDoctorName(booking[field])).filter(Boolean);
+        doctorFields.forEach(field => {
+            const doctor = normalizeDoctorName(registration[field]);
+            if (doctor && otherDoctors.includes(doctor)) {
+                clash(field, `${registration[field]} is already scheduled from ${slot} in ${booking.ruang_operasi || 'an unassigned room'}`);
+            }
+        });
+    });
+
+    return conflicts;
+}
+
+/**
+ * Lay out bookings on a timeline ordered by planned start, with the gaps and overlaps between them.
+ * Bookings without jam_rencana_operasi are returned separately as unscheduled. Previous-day bookings
+ * that run past midnight are included with carried_over: true, from 00:00 until they end. Times are
+ * clock times; a case of the day that ends after midnight has ends_next_day: true.
+ * @param {Array<object>} bookings - Rows of pendaftaran_operasi (SCHEDULE_COLUMNS or more).
+ * @param {{byTindakan: Object<string, number>, fallback: number}} defaults - From loadDurationDefaults().
+ * @param {Array<object>} [previousDay] - Bookings of the day before, same columns.
+ * @returns {{items: Array<object>, unscheduled: Array<object>, gaps: Array<object>, overlaps: Array<object>, total_minutes: number, last_end_minutes: number|null}}
+ */
+function buildTimeline(bookings, defaults, previousDay = []) {
+    const toItem = (b, offset) => {
+        const ownStart = timeToMinutes(b.jam_rencana_operasi);
+        const duration = plannedDuration(b, defaults);
+        const end = ownStart + duration + offset;
+        return {
+            ...b,
+            durasi_rencana_menit: duration,
+            jam_mulai: minutesToTime(ownStart),
+            jam_selesai: minutesToTime(end % MINUTES_PER_DAY),
+            ...(offset && { carried_over: true }),
+            ...(end > MINUTES_PER_DAY && { ends_next_day: true }),
+            start: ownStart + offset,
+            end
+        };
+    };
+
+    const carriedOver = previousDay
+        .filter(b => b.jam_rencana_operasi)
+        .map(b => toItem(b, -MINUTES_PER_DAY))
+        .filter(item => item.end > 0);
+
+    const items = [...carriedOver, ...bookings.filter(b => b.jam_rencana_operasi).map(b => toItem(b, 0))]
+        .sort((a, b) => a.start - b.start);
+
+    const gaps = [];
+    const overlaps = [];
+    let latestEnd = null;
+    let latestItem = null;
+
+    items.forEach(item => {
+        if (latestItem) {
+            if (item.start > latestEnd) {
+                gaps.push({ from: minutesToTime(latestEnd), to: item.jam_mulai, minutes: item.start - latestEnd });
+            } else if (item.start < latestEnd) {
+                overlaps.push({
+                    ids: [latestItem.id, item.id],
+                    from: item.jam_mulai,
+                    to: minutesToTime(Math.min(latestEnd, item.end) % MINUTES_PER_DAY),
+                    minutes: Math.min(latestEnd, item.end) - item.start
+                });
+            }
+        }
+        if (latestEnd === null || item.end > latestEnd) {
+            latestEnd = item.end;
+            latestItem = item;
+        }
+    });
+
+    return {
+        items: items.map(({ start, end, ...item }) => item),
+        unscheduled: bookings.filter(b => !b.jam_rencana_operasi),
+        gaps,
+        overlaps,
+        // Carried-over cases count only the minutes after midnight
+        total_minutes: items.reduce((sum, item) => sum + item.end - Math.max(item.start, 0), 0),
+        // Minutes after this day's midnight; above MINUTES_PER_DAY when the last case ends the next day
+        last_end_minutes: latestEnd
+    };
+}
+
+// List query for GET /api/registrations: exact-match filters, sortable columns and facet fields
+const REGISTRATION_FILTER_FIELDS = [
+    'dokter_operator', 'dokter_anestesi', 'penjamin', 'ruangan_rawat_inap', 'ruang_operasi',
+    'jenis_operasi', 'klasifikasi_operasi', 'pendaftaran_dari'
+];
+const REGISTRATION_SEARCH_FIELDS = ['nama_pasien', 'no_rekam_medis', 'diagnosis'];
+const REGISTRATION_SORT_FIELDS = [...Object.keys(REGISTRATION_SCHEMA), 'status', 'created_at', 'updated_at', 'created_on', 'updated_on'];
+const REGISTRATION_FACET_FIELDS = [...REGISTRATION_FILTER_FIELDS, 'status'];
+const REGISTRATION_STATUSES = Object.keys(REGISTRATION_STATUS_TRANSITIONS);
+
+/**
+ * Parse and validate the list query string.
+ * Filters accept one value or the parameter repeated (?penjamin=BPJS&penjamin=UMUM);
+ * sort is a comma-separated field list where a leading "-" means descending.
+ * @param {object} query - req.query
+ * @returns {{filters: object, search: string|null, sort: Array<{field: string, ascending: boolean}>, facets: string[], details: Array<{field: string, message: string}>}}
+ */
+function parseRegistrationListQuery(query) {
+    const details = [];
+    const toList = value => (Array.isArray(value) ? value : [value])
+        .map(v => String(v).trim())
+        .filter(Boolean);
+
+    const filters = {};
+    for (const field of REGISTRATION_FILTER_FIELDS) {
+        if (query[field] === undefined) continue;
+        const values = toList(query[field]);
+        if (values.length) filters[field] = values;
+    }
+
+    for (const field of ['startDate', 'endDate']) {
+        if (query[field] && !/^\d{4}-\d{2}-\d{2}$/.test(query[field])) {
+            details.push({ field, message: 'must be a date (YYYY-MM-DD)' });
+        }
+    }
+
+    if (query.status) {
+        const statuses = toList(query.status);
+        const unknown = statuses.filter(s => !REGISTRATION_STATUSES.includes(s));
+        if (unknown.length) {
+            details.push({ field: 'status', message: `unknown status: ${unknown.join(', ')}` });
+        } else {
+            filters.status = statuses;
+        }
+    }
+
+    // Characters that would break PostgREST's or() syntax are dropped from free-text search
+    const search = query.q ? String(query.q).replace(/[,()%*\\]/g, ' ').replace(/\s+/g, ' ').trim() || null : null;
+
+    const sort = [];
+    for (const key of String(query.sort || '-created_at').split(',').map(s => s.trim()).filter(Boolean)) {
+        const ascending = !key.startsWith('-');
+        const field = ascending ? key : key.slice(1);
+        if (!REGISTRATION_SORT_FIELDS.includes(field)) {
+            details.push({ field: 'sort', message: `cannot sort by "${field}"` });
+        } else {
+            sort.push({ field, ascending });
+        }
+    }
+
+    const facets = [];
+    for (const field of query.facets ? String(query.facets).split(',').map(s => s.trim()).filter(Boolean) : []) {
+        if (!REGISTRATION_FACET_FIELDS.includes(field)) {
+            details.push({ field: 'facets', message: `no facet for "${field}"` });
+        } else if (!facets.includes(field)) {
+            facets.push(field);
+        }
+    }
+
+    return { filters, search, sort, facets, details };
+}
+
+/**
+ * Apply the parsed list filters to a pendaftaran_operasi query.
+ * @param {object} query - Supabase query builder.
+ * @param {object} parsed - Result of parseRegistrationListQuery plus startDate/endDate.
+ * @param {string} [skipField] - Filter to leave out (used for facet counts).
+ * @returns {object} - The query builder.
+ */
+function applyRegistrationListFilters(query, parsed, skipField) {
+    if (parsed.startDate) query = query.gte('tanggal_rencana_operasi', parsed.startDate);
+    if (parsed.endDate) query = query.lte('tanggal_rencana_operasi', parsed.endDate);
+
+    for (const [field, values] of Object.entries(parsed.filters)) {
+        if (field === skipField) continue;
+        if (field === 'status') {
+            // Rows created before the status column existed count as registered
+            const list = values.map(v => `status.eq.${v}`);
+            if (values.includes('registered')) list.push('status.is.null');
+            query = query.or(list.join(','));
+        } else {
+            query = query.in(field, values);
+        }
+    }
+
+    if (parsed.search) {
+        query = query.or(REGISTRATION_SEARCH_FIELDS.map(f => `${f}.ilike.%${parsed.search}%`).join(','));
+    }
+
+    return query;
+}
+
+/**
+ * Stream every registration matching the list filters as a CSV/XLSX schedule, one page at a time.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {object} parsed - Parsed list query (filters, search, sort, startDate, endDate).
+ * @returns {Promise<void>}
+ */
+async function exportRegistrations(req, res, parsed) {
+    const { startDate, endDate } = parsed;
+    let period = 'Semua tanggal';
+    if (startDate && endDate) period = `Periode ${formatTanggalIndonesia(startDate)} s.d. ${formatTanggalIndonesia(endDate)}`;
+    else if (startDate) period = `Mulai ${formatTanggalIndonesia(startDate)}`;
+    else if (endDate) period = `Sampai ${formatTanggalIndonesia(endDate)}`;
+
+    const writer = createExportWriter(res, {
+        format: req.query.format,
+        filename: `jadwal-operasi-${startDate || 'semua'}${endDate && endDate !== startDate ? `-${endDate}` : ''}`,
+        title: 'Jadwal Operasi',
+        period,
+        columns: REGISTRATION_EXPORT_COLUMNS,
+        user: req.user
+    });
+
+    for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+        let query = applyRegistrationListFilters(
+            supabase
+                .from('pendaftaran_operasi')
+                .select('*, user_created:created_by(full_name)')
+                .is('deleted_at', null),
+            parsed
+        );
+        for (const { field, ascending } of parsed.sort) {
+            query = query.order(field, { ascending, nullsFirst: false });
+        }
+        // Stable paging when the sort keys tie
+        const { data, error } = await query.order('id', { ascending: true }).range(from, from + EXPORT_PAGE_SIZE - 1);
+        if (error) throw error;
+
+        writer.addRows(data.map(reg => ({ ...reg, user_created: reg.user_created?.full_name || null })));
+        if (data.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    await writer.finish();
+}
+
+/**
+ * Count rows per value for each requested facet. Each facet ignores its own filter so the UI can
+ * show how many rows every alternative chip would return.
+ * @param {object} parsed - Parsed list query.
+ * @returns {Promise<object>} - { field: [{ value, count }] } sorted by count, highest first.
+ */
+async function buildRegistrationFacets(parsed) {
+    const result = {};
+
+    for (const field of parsed.facets) {
+        const data = await fetchAllRows(() => applyRegistrationListFilters(
+            supabase.from('pendaftaran_operasi').select(`id, ${field}`).is('deleted_at', null),
+            parsed,
+            field
+        ).order('id', { ascending: true }));
+
+        const counts = new Map();
+        for (const row of data) {
+            const value = field === 'status' ? (row.status || 'registered') : row[field] ?? null;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        result[field] = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    return result;
+}
+
+/**
+ * @openapi
+ * /api/registrations:
+ *   get:
+ *     summary: Get surgery registrations with search, filtering, sorting and pagination
+ *     description: |
+ *       Filters on dokter_operator, dokter_anestesi, penjamin, ruangan_rawat_inap, ruang_operasi,
+ *       jenis_operasi, klasifikasi_operasi, pendaftaran_dari and status are exact matches; repeat the
+ *       parameter to match any of several values (?penjamin=BPJS&penjamin=UMUM). Different filters
+ *       are combined with AND. Unknown sort or facet fields are rejected with 400.
+ *
+ *       With format=csv or format=xlsx every matching row (not just one page) is streamed as a schedule spreadsheet.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Free-text search (case-insensitive, partial) over nama_pasien, no_rekam_medis and diagnosis
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dokter_operator
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: dokter_anestesi
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: penjamin
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: ruangan_rawat_inap
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: ruang_operasi
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: jenis_operasi
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [ELEKTIF, CITO]
+ *       - in: query
+ *         name: klasifikasi_operasi
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [KHUSUS, BESAR, SEDANG, KECIL]
+ *       - in: query
+ *         name: pendaftaran_dari
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: sort
+ *         description: Comma-separated sort fields, "-" prefix for descending (e.g. tanggal_rencana_operasi,jam_rencana_operasi or -created_at). Any registration field, status, created_at, updated_at, created_on or updated_on.
+ *         schema:
+ *           type: string
+ *           default: -created_at
+ *       - in: query
+ *         name: facets
+ *         description: Comma-separated filter fields to return per-value counts for. Each facet ignores its own filter.
+ *         schema:
+ *           type: string
+ *           example: dokter_operator,penjamin,status
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - in: query
+ *         name: startDate
+ *         description: Start date filter for planned surgery (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         description: End date filter for planned surgery (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         description: Registration status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [registered, scheduled, in_progress, done, postponed, cancelled]
+ *       - in: query
+ *         name: page
+ *         description: Page number
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         description: Number of items per page
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of surgery registrations with pagination metadata, plus facets when requested.
+ *       400:
+ *         description: Invalid query parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Get All Registrations API (with search and paging)
+app.get('/api/registrations', authenticateToken, authorize('registrations:read'), checkExportFormat, async (req, res) => {
+    try {
+        const { startDate, endDate, page = 1, pageSize = 10 } = req.query;
+        const pageNum = parseInt(page);
+        const sizeNum = parseInt(pageSize);
+        const from = (pageNum - 1) * sizeNum;
+        const to = from + sizeNum - 1;
+
+        const parsed = { ...parseRegistrationListQuery(req.query), startDate, endDate };
+        if (parsed.details.length > 0) {
+            return res.status(400).json({ error: 'Invalid query', details: parsed.details });
+        }
+
+        if (EXPORT_FORMATS.includes(req.query.format)) {
+            return await exportRegistrations(req, res, parsed);
+        }
+
+        let query = applyRegistrationListFilters(
+            supabase
+                .from('pendaftaran_operasi')
+                .select('*, user_created:created_by(full_name)', { count: 'exact' })
+                .is('deleted_at', null),
+            parsed
+        );
+
+        for (const { field, ascending } of parsed.sort) {
+            query = query.order(field, { ascending, nullsFirst: false });
+        }
+
+        const { data: registrations, error, count } = await query.range(from, to);
+
+        if (error) throw error;
+
+        const facets = parsed.facets.length > 0 ? await buildRegistrationFacets(parsed) : undefined;
+
+        // Flatten user_created nested object to string
+        const flattenedRegistrations = registrations?.map(reg => ({
+            ...reg,
+            user_created: reg.user_created?.full_name || null
+        }));
+
+        res.json({
+            data: flattenedRegistrations,
+            pagination: {
+                total: count,
+                page: pageNum,
+                pageSize: sizeNum,
+                totalPages: Math.ceil(count / sizeNum)
+            },
+            ...(facets && { facets })
+        });
+    } catch (err) {
+        console.error('Fetch registrations error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}:
+ *   get:
+ *     summary: Get a surgery registration by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Surgery registration details The ETag header carries the current version for If-Match.
+ *       304:
+ *         description: Not modified (If-None-Match matched the current ETag).
+ *       404:
+ *         description: Registration not found.
+ */
+// Get Registration By ID API
+app.get('/api/registrations/:id', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { data: registration, error } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', req.params.id)
+            .single();
+
+        if (error) throw error;
+        if (!registration) return res.status(404).json({ error: 'Registration not found' });
+        res.set('ETag', versionEtag(registration)).json(registration);
+    } catch (err) {
+        console.error('Fetch registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations:
+ *   post:
+ *     summary: Add a new surgery registration
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - waktu_pendaftaran
+ *               - nama_pasien
+ *               - no_rekam_medis
+ *             properties:
+ *               waktu_pendaftaran:
+ *                 type: string
+ *                 format: date-time
+ *               pendaftaran_dari:
+ *                 type: string
+ *               ruangan_rawat_inap:
+ *                 type: string
+ *               jenis_operasi:
+ *                 type: string
+ *                 enum: [ELEKTIF, CITO]
+ *               tanggal_rencana_operasi:
+ *                 type: string
+ *                 format: date
+ *               jam_rencana_operasi:
+ *                 type: string
+ *                 format: time
+ *                 example: "08:00"
+ *               nama_pasien:
+ *                 type: string
+ *               no_rekam_medis:
+ *                 type: string
+ *               umur_tahun:
+ *                 type: number
+ *               umur_bulan:
+ *                 type: integer
+ *                 description: Umur dalam bulan
+ *               jenis_umur:
+ *                 type: string
+ *                 enum: [hari, bulan, tahun]
+ *                 description: Satuan umur pasien (hari, bulan, atau tahun)
+ *               jenis_kelamin:
+ *                 type: string
+ *               nomor_telp_1:
+ *                 type: string
+ *               nomor_telp_2:
+ *                 type: string
+ *               diagnosis:
+ *                 type: string
+ *               rencana_tindakan:
+ *                 type: string
+ *               dokter_operator:
+ *                 type: string
+ *               dokter_anestesi:
+ *                 type: string
+ *               penjamin:
+ *                 type: string
+ *               kelas:
+ *                 type: string
+ *               klasifikasi_operasi:
+ *                 type: string
+ *                 enum: [KHUSUS, BESAR, SEDANG, KECIL]
+ *               catatan:
+ *                 type: string
+ *               ruang_operasi:
+ *                 type: string
+ *               tindakan_operasi:
+ *                 type: string
+ *               durasi_rencana_menit:
+ *                 type: integer
+ *                 description: Planned duration in minutes. Defaults to the DURASI_TINDAKAN parameter for tindakan_operasi.
+ *     responses:
+ *       201:
+ *         description: Surgery registration created successfully.
+ *       409:
+ *         description: The slot overlaps another booking in the same operating room or with the same dokter_operator/dokter_anestesi. Users with the override permission get the conflicts as warnings instead.
+ *       422:
+ *         description: Validation failed; details lists each invalid field.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *           example: Validation failed
+ *         details:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: jenis_umur
+ *               message:
+ *                 type: string
+ *                 example: "must be one of: hari, bulan, tahun"
+ */
+// Add Registration API
+app.post('/api/registrations', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    try {
+        const { data: body, errors } = await validateRegistrationPayload(req.body);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        if (!body.durasi_rencana_menit) {
+            body.durasi_rencana_menit = plannedDuration(body, await loadDurationDefaults());
+        }
+
+        const conflicts = await findScheduleConflicts(body);
+        if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+            return res.status(409).json({ error: 'Schedule conflict', conflicts });
+        }
+
+        const patient = await linkPatient(body, req.user.id);
+        body.patient_id = patient ? patient.id : null;
+
+        const { data, error } = await supabase
+            .from('pendaftaran_operasi')
+            .insert([
+                {
+                    ...body,
+                    status: 'registered',
+                    version: 1,
+                    created_by: req.user.id,
+                    created_on: new Date().toISOString()
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await recordRegistrationVersions(req, { after: data, action: 'create' });
+
+        await recordStatusHistory(req, { registration_id: data.id, to_status: 'registered' });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({
+            message: 'Registration created successfully',
+            data,
+            ...(conflicts.length > 0 && { warnings: conflicts })
+        });
+    } catch (err) {
+        console.error('Create registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}:
+ *   put:
+ *     summary: Update a surgery registration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Version the edit is based on (alternative to If-Match).
+ *               waktu_pendaftaran:
+ *                 type: string
+ *                 format: date-time
+ *               pendaftaran_dari:
+ *                 type: string
+ *               ruangan_rawat_inap:
+ *                 type: string
+ *               jenis_operasi:
+ *                 type: string
+ *                 enum: [ELEKTIF, CITO]
+ *               tanggal_rencana_operasi:
+ *                 type: string
+ *                 format: date
+ *               jam_rencana_operasi:
+ *                 type: string
+ *                 format: time
+ *                 example: "08:00"
+ *               nama_pasien:
+ *                 type: string
+ *               no_rekam_medis:
+ *                 type: string
+ *               umur_tahun:
+ *                 type: number
+ *               umur_bulan:
+ *                 type: integer
+ *                 description: Umur dalam bulan
+ *               jenis_umur:
+ *                 type: string
+ *                 enum: [hari, bulan, tahun]
+ *                 description: Satuan umur pasien (hari, bulan, atau tahun)
+ *               jenis_kelamin:
+ *                 type: string
+ *               nomor_telp_1:
+ *                 type: string
+ *               nomor_telp_2:
+ *                 type: string
+ *               diagnosis:
+ *                 type: string
+ *               rencana_tindakan:
+ *                 type: string
+ *               dokter_operator:
+ *                 type: string
+ *               dokter_anestesi:
+ *                 type: string
+ *               penjamin:
+ *                 type: string
+ *               kelas:
+ *                 type: string
+ *               klasifikasi_operasi:
+ *                 type: string
+ *                 enum: [KHUSUS, BESAR, SEDANG, KECIL]
+ *               catatan:
+ *                 type: string
+ *               ruang_operasi:
+ *                 type: string
+ *               tindakan_operasi:
+ *                 type: string
+ *               durasi_rencana_menit:
+ *                 type: integer
+ *                 description: Planned duration in minutes. Defaults to the DURASI_TINDAKAN parameter for tindakan_operasi.
+ *     responses:
+ *       200:
+ *         description: Surgery registration updated successfully. The ETag header carries the new version.
+ *       409:
+ *         description: |
+ *           The slot overlaps another booking in the same operating room or with the same dokter_operator/dokter_anestesi.
+ *           Users with the override permission get the conflicts as warnings instead.
+ *           Also returned (as StaleWrite) when the body's version is not the current one.
+ *       404:
+ *         description: Registration not found.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       422:
+ *         description: Validation failed; details lists each invalid field.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: ETag from the last read (the record's version, e.g. "3"). The write is refused with 412 when the record has changed since. A "version" field in the body works the same way but answers 409.
+ *       schema:
+ *         type: string
+ *   responses:
+ *     StaleWrite:
+ *       description: The record was changed by someone else. The response carries the current server state.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *               current_version:
+ *                 type: integer
+ *               data:
+ *                 type: object
+ *               changes_since_your_version:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Registrations only. Field changes between the version the client sent and the current one.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     from: {}
+ *                     to: {}
+ */
+// Update Registration API
+app.put('/api/registrations/:id', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+    const { version: bodyVersion, ...payload } = req.body || {};
+
+    try {
+        const { data: body, errors } = await validateRegistrationPayload(payload, { partial: true });
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const updateData = {
+            ...body,
+            updated_on: new Date().toISOString(),
+            updated_by: req.user.id
+        };
+
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before, bodyVersion);
+        if (precondition) return respondStaleRegistration(req, res, { id, current: before, status: precondition, bodyVersion });
+
+        // Only re-check the slot when a scheduling field is being changed
+        let conflicts = [];
+        if (SCHEDULE_FIELDS.some(field => field in body)) {
+            conflicts = await findScheduleConflicts({ ...before, ...body }, { excludeId: id });
+            if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+                return res.status(409).json({ error: 'Schedule conflict', conflicts });
+            }
+        }
+
+        // A corrected medical record number moves the registration to that patient
+        if ('no_rekam_medis' in body && normalizeMrn(body.no_rekam_medis) !== normalizeMrn(before.no_rekam_medis)) {
+            const patient = await linkPatient({ ...before, ...body }, req.user.id);
+            updateData.patient_id = patient ? patient.id : null;
+        }
+
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({ ...updateData, version: nextVersion(before) })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id, bodyVersion });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'update' });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
+
+        res.set('ETag', versionEtag(data)).json({
+            message: 'Registration updated successfully',
+            data,
+            ...(conflicts.length > 0 && { warnings: conflicts })
+        });
+    } catch (err) {
+        console.error('Update registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}/status:
+ *   post:
+ *     summary: Move a surgery registration to a new status
+ *     description: |
+ *       Allowed transitions:
+ *       - registered → scheduled, postponed, cancelled
+ *       - scheduled → in_progress, postponed, cancelled
+ *       - in_progress → done
+ *       - postponed → scheduled, cancelled
+ *
+ *       A reason is required for postponed and cancelled. Scheduling requires a planned date and time.
+ *       Moving to in_progress requires a complete sign-in checklist (see /api/registrations/{id}/checklist).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, in_progress, done, postponed, cancelled]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed.
+ *       404:
+ *         description: Registration not found.
+ *       409:
+ *         description: Transition not allowed from the current status, sign-in checklist incomplete, or the registration changed concurrently.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       422:
+ *         description: Missing reason or planned slot.
+ */
+// Change Registration Status API
+app.post('/api/registrations/:id/status', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (!status || !REGISTRATION_STATUS_TRANSITIONS[status]) {
+        return res.status(422).json({
+            error: 'Validation failed',
+            details: [{ field: 'status', message: `must be one of: ${Object.keys(REGISTRATION_STATUS_TRANSITIONS).join(', ')}` }]
+        });
+    }
+
+    if (STATUSES_REQUIRING_REASON.includes(status) && !String(reason || '').trim()) {
+        return res.status(422).json({
+            error: 'Validation failed',
+            details: [{ field: 'reason', message: `is required when changing status to ${status}` }]
+        });
+    }
+
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return respondStaleRegistration(req, res, { id, current: before, status: precondition });
+
+        const currentStatus = before.status || 'registered';
+        if (!REGISTRATION_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+            return res.status(409).json({
+                error: `Cannot change status from ${currentStatus} to ${status}`,
+                current_status: currentStatus,
+                allowed: REGISTRATION_STATUS_TRANSITIONS[currentStatus]
+            });
+        }
+
+        if (status === 'scheduled' && (!before.tanggal_rencana_operasi || !before.jam_rencana_operasi)) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                details: [{ field: 'tanggal_rencana_operasi', message: 'a planned date and time are required before scheduling' }]
+            });
+        }
+
+        if (status === 'in_progress') {
+            const signInError = await incompleteSignIn(id);
+            if (signInError) return res.status(409).json(signInError);
+        }
+
+        // Only apply if nobody changed the registration in the meantime
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({ status, version: nextVersion(before), updated_on: new Date().toISOString(), updated_by: req.user.id })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'status' });
+
+        await recordStatusHistory(req, {
+            registration_id: id,
+            from_status: currentStatus,
+            to_status: status,
+            reason: reason ? String(reason).trim() : null
+        });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
+
+        res.json({ message: `Registration status changed to ${status}`, data });
+    } catch (err) {
+        console.error('Change registration status error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}/status-history:
+ *   get:
+ *     summary: Get the status transitions of a surgery registration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transitions in chronological order.
+ */
+// Get Registration Status History API
+app.get('/api/registrations/:id/status-history', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { data: history, error } = await supabase
+            .from('pendaftaran_operasi_status_history')
+            .select('*, user_changed:changed_by(full_name)')
+            .eq('registration_id', req.params.id)
+            .order('changed_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json(history.map(h => ({
+            ...h,
+            user_changed: h.user_changed?.full_name || null
+        })));
+    } catch (err) {
+        console.error('Fetch status history error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Statuses from which a registration can no longer be moved to another slot
+const NON_RESCHEDULABLE_STATUSES = ['in_progress', 'done', 'cancelled'];
+
+/**
+ * Human-readable slot, e.g. "Senin, 19 Oktober 2026 pukul 08:00 (OK 1)".
+ * @param {{tanggal_rencana_operasi?: string, jam_rencana_operasi?: string, ruang_operasi?: string}} slot
+ * @returns {string}
+ */
+function formatSlotIndonesia(slot) {
+    if (!slot.tanggal_rencana_operasi) return 'belum dijadwalkan';
+    const date = new Date(`${slot.tanggal_rencana_operasi}T00:00:00+07:00`)
+        .toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Jakarta' });
+    const time = slot.jam_rencana_operasi ? ` pukul ${slot.jam_rencana_operasi.substring(0, 5)}` : '';
+    const room = slot.ruang_operasi ? ` (${slot.ruang_operasi})` : '';
+    return `${date}${time}${room}`;
+}
+
+/**
+ * Send the "jadwal berubah" WhatsApp message for a rescheduled registration to its ward
+ * (RUANG_RAWAT_INAP parameter number) and log the send to cron_job_logs like the daily job does.
+ * @param {object} reg - Registration after the change.
+ * @param {object} oldSlot - tanggal_rencana_operasi, jam_rencana_operasi and ruang_operasi before the change.
+ * @param {string} reason
+ * @returns {Promise<{room: string, phone?: string, status: string, reason?: string, wa_response?: object}>}
+ */
+async function notifyWardOfReschedule(reg, oldSlot, reason) {
+    const room = reg.ruangan_rawat_inap || 'TIDAK DIKETAHUI';
+    let result;
+
+    const { data: param, error: pError } = await supabase
+        .from('mst_parameter')
+        .select('param_value, param_name')
+        .is('deleted_at', null)
+        .eq('param_type', 'RUANG_RAWAT_INAP')
+        .eq('param_name', room)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (pError) {
+        result = { room, status: 'error', reason: `Error looking up param for room "${room}": ${pError.message}` };
+    } else if (!param || !param.param_value) {
+        result = { room, status: 'skipped', reason: `No phone number found for room "${room}" in mst_parameter, skipping.` };
+    } else {
+        const displayName = param.param_name || room;
+        const message = `Yth. ${displayName},\n\n*Jadwal operasi berubah*\n\n`
+            + `Pasien  : ${reg.nama_pasien} (${reg.no_rekam_medis || '-'} / ${reg.umur_tahun || '-'} ${reg.jenis_umur || 'Thn'})`
+            + `\nTindakan: ${reg.tindakan_operasi || '-'}`
+            + `\nDokter Operator: ${reg.dokter_operator || '-'}`
+            + `\nDokter Anestesi: ${reg.dokter_anestesi || '-'}`
+            + `\n\nJadwal lama: ${formatSlotIndonesia(oldSlot)}`
+            + `\nJadwal baru: *${formatSlotIndonesia(reg)}*`
+            + `\nAlasan: ${reason}`
+            + `\n\n_Pesan ini dikirim otomatis oleh SORA (Smart Operating Room Access)._`;
+
+        console.log(`[Reschedule] Sending WA to ${displayName} (${param.param_value}) for registration ${reg.id}...`);
+        const sendResult = await sendWhatsAppMessage(param.param_value, message);
+        result = {
+            room,
+            phone: param.param_value,
+            status: sendResult?.success ? 'sent' : 'send_failed',
+            surgery_count: 1,
+            wa_response: sendResult
+        };
+    }
+
+    const now = nowWIB();
+    const { error: logError } = await supabase
+        .from('cron_job_logs')
+        .insert({
+            job_name: 'reschedule_whatsapp_notification',
+            status: result.status === 'sent' || result.status === 'skipped' ? 'success' : 'error',
+            started_at: now,
+            finished_at: now,
+            timestamp: now,
+            summary: `Reschedule notice for ${reg.nama_pasien} (${reg.no_rekam_medis || '-'}) to room ${room}: ${result.status}`,
+            details: JSON.stringify({
+                targetDate: reg.tanggal_rencana_operasi,
+                registration_id: reg.id,
+                old_slot: oldSlot,
+                rooms: [result]
+            })
+        });
+
+    if (logError) console.error('[Reschedule] Failed to insert log row:', logError.message);
+
+    return result;
+}
+
+/**
+ * @openapi
+ * /api/registrations/{id}/reschedule:
+ *   post:
+ *     summary: Move a surgery to another date, time or operating room
+ *     description: |
+ *       Records the old and new slot with the reason and the user, runs the schedule conflict checks
+ *       and immediately sends a "jadwal berubah" WhatsApp message to the ward (RUANG_RAWAT_INAP number).
+ *       The send is logged to cron_job_logs as reschedule_whatsapp_notification. A failed send does not
+ *       undo the reschedule; the result is returned in notification. If the reschedule record cannot be
+ *       stored, the move and the notice still go ahead and reschedule is null. A postponed registration
+ *       is scheduled again by the move.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tanggal_rencana_operasi, jam_rencana_operasi, reason]
+ *             properties:
+ *               tanggal_rencana_operasi:
+ *                 type: string
+ *                 format: date
+ *               jam_rencana_operasi:
+ *                 type: string
+ *                 example: "10:30"
+ *               ruang_operasi:
+ *                 type: string
+ *                 description: Defaults to the current room
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rescheduled; includes the notification result.
+ *       404:
+ *         description: Registration not found.
+ *       409:
+ *         description: The registration can no longer be moved, or the new slot conflicts with another booking.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       422:
+ *         description: Validation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Reschedule Registration API
+app.post('/api/registrations/:id/reschedule', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+    const { reason, ...body } = req.body || {};
+    const slotSchema = {
+        tanggal_rencana_operasi: { ...REGISTRATION_SCHEMA.tanggal_rencana_operasi, required: true },
+        jam_rencana_operasi: { ...REGISTRATION_SCHEMA.jam_rencana_operasi, required: true },
+        ruang_operasi: REGISTRATION_SCHEMA.ruang_operasi
+    };
+
+    try {
+        const { data: slot, errors } = await validatePayload(slotSchema, body);
+        if (!String(reason || '').trim()) errors.push({ field: 'reason', message: 'is required' });
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return respondStaleRegistration(req, res, { id, current: before, status: precondition });
+
+        const currentStatus = before.status || 'registered';
+        if (NON_RESCHEDULABLE_STATUSES.includes(currentStatus)) {
+            return res.status(409).json({ error: `A registration with status ${currentStatus} cannot be rescheduled`, current_status: currentStatus });
+        }
+
+        const oldSlot = {
+            tanggal_rencana_operasi: before.tanggal_rencana_operasi,
+            jam_rencana_operasi: before.jam_rencana_operasi,
+            ruang_operasi: before.ruang_operasi
+        };
+        const newSlot = { ...oldSlot, ...slot };
+        if (newSlot.tanggal_rencana_operasi === oldSlot.tanggal_rencana_operasi
+            && timeToMinutes(newSlot.jam_rencana_operasi) === (oldSlot.jam_rencana_operasi ? timeToMinutes(oldSlot.jam_rencana_operasi) : null)
+            && newSlot.ruang_operasi === oldSlot.ruang_operasi) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                details: [{ field: 'tanggal_rencana_operasi', message: 'the new slot is the same as the current one' }]
+            });
+        }
+
+        const conflicts = await findScheduleConflicts({ ...before, ...newSlot }, { excludeId: id });
+        if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+            return res.status(409).json({ error: 'Schedule conflict', conflicts });
+        }
+
+        // A postponed case is back on the list once it has a new slot
+        const resumes = currentStatus === 'postponed';
+
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({
+                ...newSlot,
+                ...(resumes && { status: 'scheduled' }),
+                version: nextVersion(before),
+                updated_on: new Date().toISOString(),
+                updated_by: req.user.id
+            })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'reschedule' });
+        if (resumes) {
+            await recordStatusHistory(req, { registration_id: id, from_status: 'postponed', to_status: 'scheduled', reason: String(reason).trim() });
+        }
+
+        const { data: reschedule, error: rError } = await supabase
+            .from('pendaftaran_operasi_reschedules')
+            .insert({
+                registration_id: id,
+                old_tanggal_rencana_operasi: oldSlot.tanggal_rencana_operasi,
+                old_jam_rencana_operasi: oldSlot.jam_rencana_operasi,
+                old_ruang_operasi: oldSlot.ruang_operasi,
+                new_tanggal_rencana_operasi: data.tanggal_rencana_operasi,
+                new_jam_rencana_operasi: data.jam_rencana_operasi,
+                new_ruang_operasi: data.ruang_operasi,
+                reason: String(reason).trim(),
+                rescheduled_by: req.user.id,
+                api_key_id: req.user.api_key_id || null
+            })
+            .select()
+            .single();
+
+        // The slot has already moved, so a missing reschedule record must not stop the ward notice.
+        if (rError) console.error('[Reschedule] Failed to insert reschedule record:', rError.message);
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
+
+        let notification;
+        try {
+            notification = await notifyWardOfReschedule(data, oldSlot, String(reason).trim());
+        } catch (notifyErr) {
+            console.error('[Reschedule] Notification failed:', notifyErr);
+            notification = { room: data.ruangan_rawat_inap, status: 'error', reason: notifyErr.message };
+        }
+
+        if (reschedule) {
+            const { error: nError } = await supabase
+                .from('pendaftaran_operasi_reschedules')
+                .update({ notification_status: notification.status })
+                .eq('id', reschedule.id);
+
+            if (nError) console.error('[Reschedule] Failed to store notification status:', nError.message);
+        }
+
+        res.json({
+            message: 'Registration rescheduled successfully',
+            data,
+            reschedule: reschedule ? { ...reschedule, notification_status: notification.status } : null,
+            notification,
+            ...(conflicts.length > 0 && { warnings: conflicts })
+        });
+    } catch (err) {
+        console.error('Reschedule registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}/reschedules:
+ *   get:
+ *     summary: Get the reschedule history of a surgery registration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reschedules in chronological order, with old and new slot, reason and user.
+ */
+// Get Registration Reschedule History API
+app.get('/api/registrations/:id/reschedules', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { data: history, error } = await supabase
+            .from('pendaftaran_operasi_reschedules')
+            .select('*, user_rescheduled:rescheduled_by(full_name)')
+            .eq('registration_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json(history.map(h => ({
+            ...h,
+            user_rescheduled: h.user_rescheduled?.full_name || null
+        })));
+    } catch (err) {
+        console.error('Fetch reschedule history error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Actual case timeline, in the order the events must happen. Stored as timestamptz columns on pendaftaran_operasi.
+const SURGERY_TIMESTAMP_FIELDS = ['waktu_pasien_masuk', 'waktu_mulai_anestesi', 'waktu_insisi', 'waktu_penutupan', 'waktu_pasien_keluar'];
+const SURGERY_TIMESTAMP_SCHEMA = Object.fromEntries(SURGERY_TIMESTAMP_FIELDS.map(field => [field, { type: 'datetime' }]));
+// Events from anesthesia onwards need a complete sign-in checklist, like the move to in_progress
+const SIGN_IN_GATED_TIMESTAMPS = ['waktu_mulai_anestesi', 'waktu_insisi', 'waktu_penutupan', 'waktu_pasien_keluar'];
+// Clock difference tolerated between the recording device and the server
+const TIMESTAMP_FUTURE_TOLERANCE_MINUTES = 5;
+
+/**
+ * Check that the recorded events of a case are in order and not in the future.
+ * @param {object} times - Effective timestamps by SURGERY_TIMESTAMP_FIELDS (null when not recorded).
+ * @param {Date} [now]
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validateSurgeryTimeline(times, now = new Date()) {
+    const errors = [];
+    let previous = null;
+
+    SURGERY_TIMESTAMP_FIELDS.forEach(field => {
+        if (!times[field]) return;
+        const at = new Date(times[field]);
+        if (at - now > TIMESTAMP_FUTURE_TOLERANCE_MINUTES * 60 * 1000) {
+            errors.push({ field, message: 'cannot be in the future' });
+        }
+        if (previous && at < previous.at) {
+            errors.push({ field, message: `cannot be before ${previous.field}` });
+        }
+        previous = { field, at };
+    });
+
+    return errors;
+}
+
+/**
+ * @openapi
+ * /api/registrations/{id}/timestamps:
+ *   put:
+ *     summary: Record the actual event times of a surgery
+ *     description: |
+ *       Sets any of patient in, anesthesia start, incision, closure and patient out. Omitted fields keep their
+ *       value and null clears one. The recorded events must be in that order and not in the future.
+ *       Cancelled registrations cannot be timed. Used by the OR utilization report.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               waktu_pasien_masuk:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Patient in the operating room
+ *               waktu_mulai_anestesi:
+ *                 type: string
+ *                 format: date-time
+ *               waktu_insisi:
+ *                 type: string
+ *                 format: date-time
+ *               waktu_penutupan:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Closure
+ *               waktu_pasien_keluar:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Patient out of the operating room
+ *     responses:
+ *       200:
+ *         description: Timestamps recorded.
+ *       404:
+ *         description: Registration not found.
+ *       409:
+ *         description: |
+ *           The registration is cancelled, it changed concurrently, or an anesthesia, incision,
+ *           closure or patient-out time was sent before the sign-in checklist is complete (missing lists the open items).
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       422:
+ *         description: Invalid or out-of-order timestamps.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Record Surgery Timestamps API
+app.put('/api/registrations/:id/timestamps', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data: times, errors } = await validatePayload(SURGERY_TIMESTAMP_SCHEMA, req.body);
+        if (errors.length === 0 && Object.keys(times).length === 0) {
+            errors.push({ field: null, message: `at least one of ${SURGERY_TIMESTAMP_FIELDS.join(', ')} is required` });
+        }
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return respondStaleRegistration(req, res, { id, current: before, status: precondition });
+
+        if (before.status === 'cancelled') {
+            return res.status(409).json({ error: 'A cancelled registration cannot be timed', current_status: before.status });
+        }
+
+        const timelineErrors = validateSurgeryTimeline({ ...before, ...times });
+        if (timelineErrors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: timelineErrors });
+        }
+
+        if (SIGN_IN_GATED_TIMESTAMPS.some(field => times[field])) {
+            const signInError = await incompleteSignIn(id);
+            if (signInError) return res.status(409).json(signInError);
+        }
+
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({ ...times, version: nextVersion(before), updated_on: new Date().toISOString(), updated_by: req.user.id })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'timestamps' });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
+
+        res.set('ETag', versionEtag(data)).json({ message: 'Surgery timestamps recorded', data });
+    } catch (err) {
+        console.error('Record surgery timestamps error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// WHO Surgical Safety Checklist. Items per phase are mst_parameter rows (param_type CHECKLIST_SIGN_IN /
+// CHECKLIST_TIME_OUT / CHECKLIST_SIGN_OUT, param_code = item code, param_name = item text, ordered by sort_order);
+// a phase without configured items uses the WHO defaults below. Answers are stored per item in
+// pendaftaran_operasi_checklist. A phase is complete when every item is answered yes or not_applicable,
+// and sign-in must be complete before a case can move to in_progress or have its anesthesia or later times recorded.
+const SAFETY_CHECKLIST_PHASES = [
+    { phase: 'sign_in', label: 'Sign In', paramType: 'CHECKLIST_SIGN_IN' },
+    { phase: 'time_out', label: 'Time Out', paramType: 'CHECKLIST_TIME_OUT' },
+    { phase: 'sign_out', label: 'Sign Out', paramType: 'CHECKLIST_SIGN_OUT' }
+];
+const CHECKLIST_ANSWERS = ['yes', 'no', 'not_applicable'];
+const CHECKLIST_DONE_ANSWERS = ['yes', 'not_applicable'];
+const DEFAULT_SAFETY_CHECKLIST = {
+    sign_in: [
+        { code: 'identitas', text: 'Pasien telah mengonfirmasi identitas, lokasi operasi, prosedur dan persetujuan' },
+        { code: 'penandaan_lokasi', text: 'Lokasi operasi sudah ditandai' },
+        { code: 'cek_anestesi', text: 'Pemeriksaan mesin dan obat anestesi sudah lengkap' },
+        { code: 'pulse_oksimeter', text: 'Pulse oksimeter terpasang dan berfungsi' },
+        { code: 'alergi', text: 'Riwayat alergi pasien sudah diketahui' },
+        { code: 'jalan_napas', text: 'Risiko kesulitan jalan napas/aspirasi sudah dinilai dan alat tersedia' },
+        { code: 'risiko_perdarahan', text: 'Risiko perdarahan >500 ml (7 ml/kg pada anak) sudah dinilai dan akses IV memadai' }
+    ],
+    time_out: [
+        { code: 'perkenalan_tim', text: 'Semua anggota tim telah memperkenalkan nama dan perannya' },
+        { code: 'konfirmasi_pasien', text: 'Nama pasien, prosedur dan lokasi insisi sudah dikonfirmasi' },
+        { code: 'antibiotik_profilaksis', text: 'Antibiotik profilaksis sudah diberikan dalam 60 menit terakhir' },
+        { code: 'langkah_kritis_bedah', text: 'Dokter bedah telah menyampaikan langkah kritis, durasi dan antisipasi perdarahan' },
+        { code: 'perhatian_anestesi', text: 'Tim anestesi telah menyampaikan perhatian khusus pada pasien' },
+        { code: 'sterilitas', text: 'Sterilitas alat sudah dikonfirmasi dan masalah peralatan sudah disampaikan' },
+        { code: 'pencitraan', text: 'Hasil pencitraan penting sudah ditampilkan' }
+    ],
+    sign_out: [
+        { code: 'nama_prosedur', text: 'Nama prosedur yang dilakukan sudah dicatat' },
+        { code: 'hitung_instrumen', text: 'Jumlah instrumen, kasa dan jarum sudah lengkap' },
+        { code: 'label_spesimen', text: 'Spesimen sudah diberi label termasuk nama pasien' },
+        { code: 'masalah_peralatan', text: 'Masalah peralatan yang perlu ditangani sudah disampaikan' },
+        { code: 'pemulihan', text: 'Perhatian utama untuk pemulihan pasien sudah disampaikan' }
+    ]
+};
+
+/**
+ * Checklist items per phase: the configured parameters, or the defaults for phases without any.
+ * @returns {Promise<Object<string, Array<{code: string, text: string}>>>}
+ */
+async function loadSafetyChecklist() {
+    const { data: params, error } = await supabase
+        .from('mst_parameter')
+        .select('param_type, param_code, param_name')
+        .is('deleted_at', null)
+        .in('param_type', SAFETY_CHECKLIST_PHASES.map(p => p.paramType))
+        .eq('is_active', true)
+        .order('sort_order', { ascending: true });
+
+    if (error) throw error;
+
+    const items = {};
+    SAFETY_CHECKLIST_PHASES.forEach(({ phase, paramType }) => {
+        const configured = params
+            .filter(p => p.param_type === paramType)
+            .map(p => ({ code: p.param_code, text: p.param_name }));
+        items[phase] = configured.length > 0 ? configured : DEFAULT_SAFETY_CHECKLIST[phase];
+    });
+    return items;
+}
+
+/**
+ * Merge checklist items with a registration's answers.
+ * @param {Object<string, Array<{code: string, text: string}>>} items - From loadSafetyChecklist().
+ * @param {Array<object>} answers - pendaftaran_operasi_checklist rows.
+ * @returns {{complete: boolean, phases: Array<object>}}
+ */
+function buildChecklistState(items, answers) {
+    const phases = SAFETY_CHECKLIST_PHASES.map(({ phase, label }) => {
+        const phaseItems = items[phase].map(item => {
+            const answer = answers.find(a => a.phase === phase && a.item_code === item.code);
+            return {
+                code: item.code,
+                text: item.text,
+                answer: answer ? answer.answer : null,
+                note: answer ? answer.note : null,
+                answered_by: answer ? answer.user_answered?.full_name || null : null,
+                answered_at: answer ? answer.answered_at : null
+            };
+        });
+        const missing = phaseItems.filter(item => !CHECKLIST_DONE_ANSWERS.includes(item.answer)).map(item => item.code);
+        return { phase, label, complete: missing.length === 0, missing, items: phaseItems };
+    });
+
+    return { complete: phases.every(p => p.complete), phases };
+}
+
+/**
+ * Current checklist of a registration.
+ * @param {string} registrationId
+ * @returns {Promise<{complete: boolean, phases: Array<object>}>}
+ */
+async function fetchChecklistState(registrationId) {
+    const [items, { data: answers, error }] = await Promise.all([
+        loadSafetyChecklist(),
+        supabase
+            .from('pendaftaran_operasi_checklist')
+            .select('*, user_answered:answered_by(full_name)')
+            .eq('registration_id', registrationId)
+    ]);
+
+    if (error) throw error;
+    return buildChecklistState(items, answers);
+}
+
+/**
+ * The 409 body to send when a registration's sign-in phase is not complete yet.
+ * @param {string} registrationId
+ * @returns {Promise<{error: string, missing: Array<{code: string, text: string}>}|null>} - null when sign-in is complete.
+ */
+async function incompleteSignIn(registrationId) {
+    const signIn = (await fetchChecklistState(registrationId)).phases.find(p => p.phase === 'sign_in');
+    if (signIn.complete) return null;
+    return {
+        error: 'The sign-in checklist must be complete before the surgery starts',
+        missing: signIn.items.filter(item => signIn.missing.includes(item.code)).map(({ code, text }) => ({ code, text }))
+    };
+}
+
+/**
+ * @openapi
+ * /api/registrations/{id}/checklist:
+ *   get:
+ *     summary: Get the surgical safety checklist of a surgery registration
+ *     description: Sign in, time out and sign out items with the answer, note, user and time of each answer.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist per phase; missing lists the items not yet answered yes or not_applicable.
+ *       404:
+ *         description: Registration not found.
+ */
+// Get Safety Checklist API
+app.get('/api/registrations/:id/checklist', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { data: registration, error } = await supabase
+            .from('pendaftaran_operasi')
+            .select('id')
+            .is('deleted_at', null)
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!registration) return res.status(404).json({ error: 'Registration not found' });
+
+        res.json({ registration_id: registration.id, ...await fetchChecklistState(registration.id) });
+    } catch (err) {
+        console.error('Fetch checklist error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}/checklist/{phase}:
+ *   put:
+ *     summary: Answer surgical safety checklist items
+ *     description: Saves the given answers for one phase; other items keep their answers. Each answer records the user and time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: phase
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sign_in, time_out, sign_out]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [answers]
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [item, answer]
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: Item code
+ *                     answer:
+ *                       type: string
+ *                       enum: [yes, no, not_applicable]
+ *                     note:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Answers saved; returns the whole checklist.
+ *       404:
+ *         description: Registration or phase not found.
+ *       409:
+ *         description: The registration is cancelled.
+ *       422:
+ *         description: Unknown item or invalid answer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Answer Safety Checklist API
+app.put('/api/registrations/:id/checklist/:phase', authenticateToken, authorize('checklist:write'), async (req, res) => {
+    const { id, phase } = req.params;
+    const { answers } = req.body || {};
+
+    if (!SAFETY_CHECKLIST_PHASES.some(p => p.phase === phase)) {
+        return res.status(404).json({ error: `Unknown checklist phase ${phase}` });
+    }
+    if (!Array.isArray(answers) || answers.length === 0) {
+        return res.status(422).json({ error: 'Validation failed', details: [{ field: 'answers', message: 'must be a non-empty array' }] });
+    }
+
+    try {
+        const { data: registration, error: rError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('id, status')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (rError) throw rError;
+        if (!registration) return res.status(404).json({ error: 'Registration not found' });
+        if (registration.status === 'cancelled') {
+            return res.status(409).json({ error: 'The checklist of a cancelled registration cannot be changed', current_status: registration.status });
+        }
+
+        const items = (await loadSafetyChecklist())[phase];
+        const errors = [];
+        answers.forEach((a, i) => {
+            if (!a || !items.some(item => item.code === a.item)) {
+                errors.push({ field: `answers[${i}].item`, message: `must be one of: ${items.map(item => item.code).join(', ')}` });
+            } else if (answers.findIndex(other => other && other.item === a.item) !== i) {
+                errors.push({ field: `answers[${i}].item`, message: 'is answered more than once' });
+            }
+            if (!a || !CHECKLIST_ANSWERS.includes(a.answer)) {
+                errors.push({ field: `answers[${i}].answer`, message: `must be one of: ${CHECKLIST_ANSWERS.join(', ')}` });
+            }
+        });
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data: previous, error: pError } = await supabase
+            .from('pendaftaran_operasi_checklist')
+            .select('item_code, answer')
+            .eq('registration_id', id)
+            .eq('phase', phase);
+
+        if (pError) throw pError;
+
+        const answeredAt = new Date().toISOString();
+        const { error } = await supabase
+            .from('pendaftaran_operasi_checklist')
+            .upsert(answers.map(a => ({
+                registration_id: id,
+                phase,
+                item_code: a.item,
+                item_text: items.find(item => item.code === a.item).text,
+                answer: a.answer,
+                note: a.note || null,
+                answered_by: req.user.id,
+                answered_at: answeredAt
+            })), { onConflict: 'registration_id,phase,item_code' });
+
+        if (error) throw error;
+
+        await recordAudit(req, {
+            entity: 'pendaftaran_operasi_checklist',
+            entityId: id,
+            action: 'update',
+            before: Object.fromEntries(previous.map(p => [`${phase}.${p.item_code}`, p.answer])),
+            after: Object.fromEntries([
+                ...previous.map(p => [`${phase}.${p.item_code}`, p.answer]),
+                ...answers.map(a => [`${phase}.${a.item}`, a.answer])
+            ])
+        });
+
+        res.json({ message: 'Checklist saved', data: { registration_id: id, ...await fetchChecklistState(id) } });
+    } catch (err) {
+        console.error('Save checklist error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Fields a revert puts back. Status, actual timestamps, deletion and bookkeeping columns keep their current values.
+const REVERTIBLE_FIELDS = [...Object.keys(REGISTRATION_SCHEMA), 'patient_id'];
+
+/**
+ * @openapi
+ * /api/registrations/{id}/history:
+ *   get:
+ *     summary: Get the version history of a surgery registration
+ *     description: |
+ *       One entry per saved version, oldest first, with the editor, the time and the fields that changed
+ *       compared with the previous version. Use field= to see only the versions that changed one field
+ *       (e.g. field=dokter_anestesi).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         description: Only versions that changed this field
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: snapshots
+ *         description: Include the full row of every version
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Versions with field-by-field changes.
+ *       400:
+ *         description: Unknown field.
+ *       404:
+ *         description: Registration not found.
+ */
+// Get Registration Version History API
+app.get('/api/registrations/:id/history', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    const { id } = req.params;
+    const { field, snapshots } = req.query;
+    const knownFields = [...REVERTIBLE_FIELDS, 'status', 'deleted_at', 'deleted_by'];
+
+    if (field && !knownFields.includes(field)) {
+        return res.status(400).json({ error: `Unknown field "${field}"` });
+    }
+
+    try {
+        // Deleted registrations keep their history
+        const { data: current, error: cError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('id, version')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (cError) throw cError;
+        if (!current) return res.status(404).json({ error: 'Registration not found' });
+
+        const { data: versions, error } = await supabase
+            .from('pendaftaran_operasi_versions')
+            .select('*, user_changed:changed_by(full_name)')
+            .eq('registration_id', id)
+            .order('version', { ascending: true });
+
+        if (error) throw error;
+
+        const history = versions.map((v, i) => ({
+            version: v.version,
+            action: v.action,
+            source_version: v.source_version,
+            changed_at: v.changed_at,
+            changed_by: v.changed_by,
+            user_changed: v.user_changed?.full_name || null,
+            api_key_id: v.api_key_id,
+            changes: i === 0 ? [] : diffVersions(versions[i - 1].snapshot, v.snapshot),
+            ...(snapshots === 'true' && { snapshot: v.snapshot })
+        }));
+
+        res.json({
+            registration_id: id,
+            current_version: current.version || 1,
+            data: field ? history.filter(v => v.changes.some(c => c.field === field)) : history
+        });
+    } catch (err) {
+        console.error('Fetch registration history error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}/revert:
+ *   post:
+ *     summary: Revert a surgery registration to an earlier version
+ *     description: |
+ *       Copies the registration fields of the chosen version back onto the record as a new version.
+ *       Status and deletion are not reverted. A changed slot is checked for schedule conflicts again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Reverted; changes lists what was put back.
+ *       404:
+ *         description: Registration or version not found.
+ *       409:
+ *         description: The reverted slot conflicts with another booking, or the registration changed concurrently.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ *       422:
+ *         description: Invalid version, or the registration already matches it.
+ */
+// Revert Registration API
+app.post('/api/registrations/:id/revert', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+    const version = Number(req.body?.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+        return res.status(422).json({ error: 'Validation failed', details: [{ field: 'version', message: 'must be a positive integer' }] });
+    }
+
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return respondStaleRegistration(req, res, { id, current: before, status: precondition });
+
+        const { data: target, error: vError } = await supabase
+            .from('pendaftaran_operasi_versions')
+            .select('version, snapshot')
+            .eq('registration_id', id)
+            .eq('version', version)
+            .maybeSingle();
+
+        if (vError) throw vError;
+        if (!target) return res.status(404).json({ error: `Version ${version} not found` });
+
+        const restored = {};
+        REVERTIBLE_FIELDS.forEach(field => {
+            if (field in target.snapshot) restored[field] = target.snapshot[field];
+        });
+
+        const changes = diffVersions(before, { ...before, ...restored });
+        if (changes.length === 0) {
+            return res.status(422).json({ error: `Registration already matches version ${version}` });
+        }
+
+        let conflicts = [];
+        if (changes.some(c => SCHEDULE_FIELDS.includes(c.field)) && before.status !== 'cancelled') {
+            conflicts = await findScheduleConflicts({ ...before, ...restored }, { excludeId: id });
+            if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+                return res.status(409).json({ error: 'Schedule conflict', conflicts });
+            }
+        }
+
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({ ...restored, version: nextVersion(before), updated_on: new Date().toISOString(), updated_by: req.user.id })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'revert', sourceVersion: version });
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
+
+        res.json({
+            message: `Registration reverted to version ${version}`,
+            data,
+            changes,
+            ...(conflicts.length > 0 && { warnings: conflicts })
+        });
+    } catch (err) {
+        console.error('Revert registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/registrations/{id}:
+ *   delete:
+ *     summary: Delete a surgery registration
+ *     description: Moves it to the trash (soft delete). See /api/trash.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Surgery registration deleted successfully.
+ *       404:
+ *         description: Registration not found.
+ *       412:
+ *         $ref: '#/components/responses/StaleWrite'
+ */
+// Delete Registration API
+app.delete('/api/registrations/:id', authenticateToken, authorize('registrations:delete'), async (req, res) => {
+    try {
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .eq('id', req.params.id)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        const precondition = checkWritePrecondition(req, before);
+        if (precondition) return respondStaleRegistration(req, res, { id: req.params.id, current: before, status: precondition });
+
+        // Soft delete: the row moves to the trash and can be restored
+        const { data, error } = await whereVersion(supabase
+            .from('pendaftaran_operasi')
+            .update({ deleted_at: new Date().toISOString(), deleted_by: req.user.id, version: nextVersion(before) })
+            .eq('id', req.params.id), before)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id: req.params.id });
+
+        await recordRegistrationVersions(req, { before, after: data, action: 'delete' });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: req.params.id, action: 'delete', before, after: data });
+
+        res.json({ message: 'Registration deleted successfully' });
+    } catch (err) {
+        console.error('Delete registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Bulk import of registrations from CSV/XLSX spreadsheets
+const IMPORT_MAX_ROWS = 500;
+const IMPORT_MAX_FILE_SIZE = '5mb';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Common spreadsheet headers (normalized: lower case, non-alphanumerics as "_") and the field they fill.
+// Headers equal to a REGISTRATION_SCHEMA field name are mapped without an alias.
+const IMPORT_HEADER_ALIASES = {
+    no_rm: 'no_rekam_medis',
+    rm: 'no_rekam_medis',
+    nomor_rekam_medis: 'no_rekam_medis',
+    nama: 'nama_pasien',
+    nama_px: 'nama_pasien',
+    tgl_operasi: 'tanggal_rencana_operasi',
+    tanggal_operasi: 'tanggal_rencana_operasi',
+    jam_operasi: 'jam_rencana_operasi',
+    tgl_daftar: 'waktu_pendaftaran',
+    tanggal_daftar: 'waktu_pendaftaran',
+    umur: 'umur_tahun',
+    jk: 'jenis_kelamin',
+    no_hp: 'nomor_telp_1',
+    no_telp: 'nomor_telp_1',
+    telp: 'nomor_telp_1',
+    diagnosa: 'diagnosis',
+    tindakan: 'tindakan_operasi',
+    operator: 'dokter_operator',
+    dpjp: 'dokter_operator',
+    anestesi: 'dokter_anestesi',
+    ruang: 'ruangan_rawat_inap',
+    ruang_ok: 'ruang_operasi',
+    kamar_operasi: 'ruang_operasi',
+    durasi: 'durasi_rencana_menit',
+    klasifikasi: 'klasifikasi_operasi',
+    keterangan: 'catatan'
+};
+
+/**
+ * Normalize a spreadsheet header for matching against field names and aliases.
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeImportHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields (with "" escapes and line breaks),
+ * CRLF line endings and a UTF-8 BOM. The delimiter is "," or ";" (Excel with Indonesian locale),
+ * whichever appears more often in the header line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Thrown for files that cannot be read at all; reported as 400 rather than per-row errors
+class ImportFileError extends Error {}
+
+// XLSX files are ZIP archives, which start with a local file header "PK\x03\x04"
+const ZIP_MAGIC_BYTES = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Whether an upload is a ZIP archive (and so possibly an XLSX workbook).
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isZipArchive(buffer) {
+    return buffer.subarray(0, ZIP_MAGIC_BYTES.length).equals(ZIP_MAGIC_BYTES);
+}
+
+/**
+ * Read the first (or the named) worksheet of an XLSX file into rows of raw cell values.
+ * @param {Buffer} buffer - Must be a ZIP archive (see isZipArchive).
+ * @param {string} [sheetName]
+ * @returns {Promise<Array<Array<*>>>}
+ */
+async function parseXlsx(buffer, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch {
+        // A ZIP archive that is not a workbook, or a damaged one
+        throw new ImportFileError('The file is not a valid XLSX workbook');
+    }
+
+    const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!sheet) throw new ImportFileError(sheetName ? `Worksheet "${sheetName}" not found` : 'The workbook has no worksheets');
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            let value = row.getCell(col).value;
+            // Unwrap formulas, rich text and hyperlinks to the value shown in the cell
+            if (value && typeof value === 'object' && !(value instanceof Date)) {
+                if ('result' in value) value = value.result;
+                else if (value.richText) value = value.richText.map(part => part.text).join('');
+                else if ('text' in value) value = value.text;
+                else value = null;
+            }
+            values.push(value);
+        }
+        rows[rowNumber - 1] = values;
+    });
+
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Convert a spreadsheet cell to the input format validateFieldValue expects for its field:
+ * Excel dates and times, dd/mm/yyyy dates, "08.30" times and numbers stored in text fields.
+ * Date-times without a zone are taken as WIB (+07:00).
+ * @param {*} value - Raw cell value (string for CSV; string, number, boolean or Date for XLSX).
+ * @param {object} rule - Entry from REGISTRATION_SCHEMA.
+ * @returns {*} - Value to validate, or undefined for an empty cell.
+ */
+function coerceImportValue(value, rule) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === 'string') {
+        value = value.trim();
+        if (value === '') return undefined;
+    }
+
+    // ExcelJS returns the wall-clock value typed in Excel as a UTC Date
+    const pad = n => String(n).padStart(2, '0');
+    const isoDate = d => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+    const isoTime = d => `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+    const dmy = typeof value === 'string' && value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2})[:.](\d{2}))?$/);
+
+    switch (rule.type) {
+        case 'date':
+            if (value instanceof Date) return isoDate(value);
+            if (dmy) return `${dmy[3]}-${pad(dmy[2])}-${pad(dmy[1])}`;
+            return String(value);
+        case 'time':
+            if (value instanceof Date) return isoTime(value);
+            // Unformatted Excel time: fraction of a day
+            if (typeof value === 'number' && value >= 0 && value < 1) {
+                const minutes = Math.round(value * 24 * 60);
+                return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+            }
+            return String(value).replace(/^(\d{1,2})[.:](\d{2})$/, (m, h, min) => `${pad(h)}:${min}`);
+        case 'datetime':
+            if (value instanceof Date) return `${isoDate(value)}T${isoTime(value)}:00+07:00`;
+            if (dmy) return `${dmy[3]}-${pad(dmy[2])}-${pad(dmy[1])}T${pad(dmy[4] || 0)}:${dmy[5] || '00'}:00+07:00`;
+            if (/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/.test(value)) {
+                return `${value.slice(0, 10)}T${value.slice(11, 16) || '00:00'}:00+07:00`;
+            }
+            return String(value);
+        case 'number':
+        case 'integer':
+            return value;
+        default:
+            return value instanceof Date ? isoDate(value) : String(value);
+    }
+}
+
+/**
+ * Work out which REGISTRATION_SCHEMA field each column fills. An explicit mapping
+ * (header → field, or null to ignore the column) wins over the automatic header matching.
+ * @param {string[]} headers - First row of the file.
+ * @param {object} [mapping] - Saved or ad-hoc column mapping.
+ * @returns {{columns: Array<string|null>, errors: Array<{field: string|null, message: string}>}}
+ */
+function resolveImportColumns(headers, mapping = {}) {
+    const errors = [];
+    const explicit = {};
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (field !== null && !REGISTRATION_SCHEMA[field]) {
+            errors.push({ field: header, message: `is mapped to unknown field "${field}"` });
+        }
+        explicit[normalizeImportHeader(header)] = field;
+    });
+
+    const columns = headers.map(header => {
+        const key = normalizeImportHeader(header);
+        if (!key) return null;
+        if (key in explicit) return explicit[key];
+        if (REGISTRATION_SCHEMA[key]) return key;
+        return IMPORT_HEADER_ALIASES[key] || null;
+    });
+
+    columns.forEach((field, index) => {
+        if (field && columns.indexOf(field) !== index) {
+            errors.push({ field, message: `is mapped from more than one column ("${headers[columns.indexOf(field)]}" and "${headers[index]}")` });
+        }
+    });
+
+    return { columns, errors };
+}
+
+/**
+ * Validate every data row of an import exactly like a single create: schema rules, parameter
+ * lists and schedule conflicts (against saved bookings and against earlier rows in the same file).
+ * @param {Array<Array<*>>} rows - Data rows (header removed).
+ * @param {Array<string|null>} columns - Field per column from resolveImportColumns.
+ * @param {object} user - req.user, for the conflict override permission.
+ * @returns {Promise<{valid: Array<{row: number, data: object, warnings?: Array<object>}>, errors: Array<{row: number, field: string|null, message: string}>}>}
+ */
+async function validateImportRows(rows, columns, user) {
+    const paramCache = new Map();
+    const defaults = await loadDurationDefaults();
+    const canOverride = hasPermission(user, 'registrations:override_conflicts');
+    const valid = [];
+    const errors = [];
+
+    for (let i = 0; i < rows.length; i++) {
+        const rowNumber = i + 2; // 1-based, after the header row
+        const cells = rows[i];
+        if (cells.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) continue;
+
+        const body = {};
+        columns.forEach((field, col) => {
+            if (!field) return;
+            const value = coerceImportValue(cells[col], REGISTRATION_SCHEMA[field]);
+            if (value !== undefined) body[field] = value;
+        });
+
+        const { data, errors: rowErrors } = await validatePayload(REGISTRATION_SCHEMA, body, { paramCache });
+        if (rowErrors.length > 0) {
+            rowErrors.forEach(e => errors.push({ row: rowNumber, ...e }));
+            continue;
+        }
+
+        if (!data.durasi_rencana_menit) data.durasi_rencana_menit = plannedDuration(data, defaults);
+
+        const conflicts = await findScheduleConflicts(data, {
+            defaults,
+            pending: valid.map(v => ({ ...v.data, import_row: v.row }))
+        });
+        if (conflicts.length > 0 && !canOverride) {
+            conflicts.forEach(c => errors.push({ row: rowNumber, field: c.type, message: c.message }));
+            continue;
+        }
+
+        valid.push({ row: rowNumber, data, ...(conflicts.length > 0 && { warnings: conflicts }) });
+    }
+
+    return { valid, errors };
+}
+
+/**
+ * One patient row per medical record number in an import, with the identity fields taken from the
+ * first row that has them. Patients that already exist are left as they are by import_registrations.
+ * @param {Array<object>} rows - Validated registration payloads.
+ * @param {string} userId - Recorded as created_by on new patients.
+ * @returns {Array<object>}
+ */
+function buildImportPatients(rows, userId) {
+    const mrns = [...new Set(rows.map(row => normalizeMrn(row.no_rekam_medis)).filter(Boolean))];
+    return mrns.map(mrn => {
+        const patient = { no_rekam_medis: mrn, created_by: userId };
+        const sameMrn = rows.filter(row => normalizeMrn(row.no_rekam_medis) === mrn);
+        PATIENT_IDENTITY_FIELDS.forEach(field => {
+            const source = sameMrn.find(row => row[field]);
+            if (source) patient[field] = source[field];
+        });
+        return patient;
+    });
+}
+
+/**
+ * Store an import in one transaction through the import_registrations Postgres function. The function
+ * inserts the patients whose no_rekam_medis does not exist yet, then the registrations with patient_id
+ * set from patient_no_rekam_medis, a version 1 "import" snapshot and a "registered" status history row
+ * (reason "Imported") for each, and returns the inserted registrations. Any failure rolls all of it back.
+ * @param {object} req - Express request (editor).
+ * @param {Array<object>} patients - From buildImportPatients().
+ * @param {Array<object>} registrations - Registration rows plus patient_no_rekam_medis.
+ * @returns {Promise<Array<object>>} - The inserted registrations.
+ */
+async function storeImport(req, patients, registrations) {
+    const { data, error } = await supabase.rpc('import_registrations', {
+        p_patients: patients,
+        p_registrations: registrations,
+        p_changed_by: req.user.id,
+        p_api_key_id: req.user.api_key_id || null
+    });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * @openapi
+ * /api/registrations/import:
+ *   post:
+ *     summary: Import surgery registrations from a CSV or XLSX file
+ *     description: |
+ *       Send the file as the raw request body with Content-Type text/csv or
+ *       application/vnd.openxmlformats-officedocument.spreadsheetml.sheet. The first row holds the
+ *       column headers. Columns are matched to registration fields by name and common aliases
+ *       (No RM, Nama, Tgl Operasi, Jam Operasi, Operator, ...); a saved mapping (mapping=name) or an
+ *       X-Column-Mapping header with a JSON object of header → field (null to ignore) overrides that.
+ *
+ *       Every row is validated like POST /api/registrations. If any row fails nothing is imported;
+ *       otherwise the new patients, the registrations, their versions and status history are stored in
+ *       one database transaction, so either all of them are stored or none. Use dry_run=true to preview.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: mapping
+ *         description: Name of a saved column mapping
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sheet
+ *         description: Worksheet name (XLSX only, defaults to the first sheet)
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Column-Mapping
+ *         description: Ad-hoc mapping as JSON, e.g. {"Nama Lengkap":"nama_pasien","Kolom Lain":null}
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Dry run result with the rows that would be inserted and any row errors.
+ *       201:
+ *         description: All rows imported.
+ *       400:
+ *         description: The file or the mapping could not be used.
+ *       422:
+ *         description: One or more rows failed validation; nothing was imported. details lists row, field and message.
+ */
+// Import Registrations API
+app.post(
+    '/api/registrations/import',
+    authenticateToken,
+    authorize('registrations:write'),
+    express.raw({ type: ['text/csv', 'application/csv', 'text/plain', XLSX_MIME_TYPE, 'application/octet-stream'], limit: IMPORT_MAX_FILE_SIZE }),
+    async (req, res) => {
+        const dryRun = req.query.dry_run === 'true';
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Upload the CSV or XLSX file as the request body' });
+        }
+
+        try {
+            let mapping = {};
+            if (req.query.mapping) {
+                const { data: saved, error } = await supabase
+                    .from('import_mappings')
+                    .select('columns')
+                    .eq('name', req.query.mapping)
+                    .maybeSingle();
+                if (error) throw error;
+                if (!saved) return res.status(400).json({ error: `Import mapping "${req.query.mapping}" not found` });
+                mapping = saved.columns;
+            }
+            if (req.get('X-Column-Mapping')) {
+                try {
+                    mapping = { ...mapping, ...JSON.parse(req.get('X-Column-Mapping')) };
+                } catch {
+                    return res.status(400).json({ error: 'X-Column-Mapping must be a JSON object' });
+                }
+            }
+
+            // Detect the format from the content; the declared type only has to agree with it
+            const isXlsx = isZipArchive(req.body);
+            if (req.is(XLSX_MIME_TYPE) && !isXlsx) {
+                return res.status(400).json({ error: 'The file is not a valid XLSX workbook' });
+            }
+            const rows = isXlsx ? await parseXlsx(req.body, req.query.sheet) : parseCsv(req.body.toString('utf8'));
+
+            const [headers = [], ...dataRows] = rows;
+            if (dataRows.length === 0) return res.status(400).json({ error: 'The file has no data rows' });
+            if (dataRows.length > IMPORT_MAX_ROWS) {
+                return res.status(400).json({ error: `The file has ${dataRows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once` });
+            }
+
+            const { columns, errors: mappingErrors } = resolveImportColumns(headers.map(h => (h === null || h === undefined ? '' : String(h))), mapping);
+            if (mappingErrors.length > 0) {
+                return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors });
+            }
+
+            const columnMap = {};
+            headers.forEach((header, i) => {
+                if (header !== null && header !== undefined && String(header).trim()) columnMap[String(header)] = columns[i];
+            });
+
+            const { valid, errors } = await validateImportRows(dataRows, columns, req.user);
+            const summary = {
+                total_rows: valid.length + new Set(errors.map(e => e.row)).size,
+                valid_rows: valid.length,
+                invalid_rows: new Set(errors.map(e => e.row)).size,
+                columns: columnMap
+            };
+
+            if (dryRun) {
+                return res.json({
+                    message: errors.length > 0 ? 'Dry run: some rows have errors' : `Dry run: ${valid.length} registrations would be imported`,
+                    dry_run: true,
+                    data: { ...summary, rows: valid, errors }
+                });
+            }
+
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation failed', details: errors, data: summary });
+            }
+
+            const payloads = valid.map(v => v.data);
+            const createdOn = new Date().toISOString();
+            const inserted = await storeImport(req, buildImportPatients(payloads, req.user.id), payloads.map(row => ({
+                ...row,
+                patient_no_rekam_medis: normalizeMrn(row.no_rekam_medis),
+                status: 'registered',
+                version: 1,
+                created_by: req.user.id,
+                created_on: createdOn
+            })));
+
+            for (const reg of inserted) {
+                await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: reg.id, action: 'import', after: reg });
+            }
+
+            res.status(201).json({
+                message: `${inserted.length} registrations imported successfully`,
+                data: { ...summary, ids: inserted.map(reg => reg.id) },
+                ...(valid.some(v => v.warnings) && { warnings: valid.filter(v => v.warnings).map(v => ({ row: v.row, conflicts: v.warnings })) })
+            });
+        } catch (err) {
+            if (err instanceof ImportFileError) return res.status(400).json({ error: err.message });
+            console.error('Import registrations error:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+);
+
+/**
+ * @openapi
+ * /api/import-mappings:
+ *   get:
+ *     summary: List saved import column mappings
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved mappings.
+ */
+// Get Import Mappings API
+app.get('/api/import-mappings', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('import_mappings')
+            .select('*, user_created:created_by(full_name)')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({
+            data: data.map(mapping => ({
+                ...mapping,
+                user_created: mapping.user_created?.full_name || null
+            }))
+        });
+    } catch (err) {
+        console.error('Fetch import mappings error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/import-mappings:
+ *   post:
+ *     summary: Save an import column mapping
+ *     description: Saving under an existing name replaces that mapping.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, columns]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Jadwal Bangsal Melati
+ *               columns:
+ *                 type: object
+ *                 description: Spreadsheet header → registration field, or null to ignore the column
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                 example: { "No. RM": "no_rekam_medis", "Nama Lengkap": "nama_pasien", "Paraf": null }
+ *     responses:
+ *       200:
+ *         description: Mapping saved.
+ *       400:
+ *         description: Invalid name or mapping.
+ */
+// Save Import Mapping API
+app.post('/api/import-mappings', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { name, columns } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns) || Object.keys(columns).length === 0) {
+        return res.status(400).json({ error: 'columns must be an object of header → field' });
+    }
+    const { errors } = resolveImportColumns([], columns);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid column mapping', details: errors });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('import_mappings')
+            .upsert({
+                name: name.trim(),
+                columns,
+                created_by: req.user.id,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'name' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.json({ message: 'Import mapping saved successfully', data });
+    } catch (err) {
+        console.error('Save import mapping error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/import-mappings/{id}:
+ *   delete:
+ *     summary: Delete a saved import column mapping
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mapping deleted.
+ *       404:
+ *         description: Mapping not found.
+ */
+// Delete Import Mapping API
+app.delete('/api/import-mappings/:id', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('import_mappings')
+            .delete()
+            .eq('id', req.params.id)
+            .select();
+
+        if (error) throw error;
+        if (!deleted || deleted.length === 0) return res.status(404).json({ error: 'Import mapping not found' });
+
+        res.json({ message: 'Import mapping deleted successfully' });
+    } catch (err) {
+        console.error('Delete import mapping error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Patient master records, keyed by medical record number (no_rekam_medis).
+// Registrations keep their own copy of the identity fields and link to the patient through patient_id.
+const PATIENT_SCHEMA = {
+    no_rekam_medis: { type: 'string', required: true, maxLength: 50 },
+    nama_pasien: { type: 'string', required: true, maxLength: 150 },
+    tanggal_lahir: { type: 'date' },
+    jenis_kelamin: { type: 'string', maxLength: 20 },
+    nomor_telp_1: { type: 'phone' },
+    nomor_telp_2: { type: 'phone' },
+    alamat: { type: 'string', maxLength: 500 },
+    nik: { type: 'string', maxLength: 20 }
+};
+const PATIENT_IDENTITY_FIELDS = ['nama_pasien', 'jenis_kelamin', 'nomor_telp_1', 'nomor_telp_2'];
+// Tries per registration when copying identity fields races with another edit
+const PATIENT_SYNC_ATTEMPTS = 3;
+const PATIENT_LIST_COLUMNS = 'id, no_rekam_medis, nama_pasien, tanggal_lahir, jenis_kelamin, nomor_telp_1, nomor_telp_2';
+
+/**
+ * Canonical form of a medical record number: no whitespace, upper case.
+ * @param {string} mrn
+ * @returns {string}
+ */
+function normalizeMrn(mrn) {
+    return String(mrn || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Find the patient for a registration's no_rekam_medis, creating it from the registration's
+ * identity fields when it does not exist yet. Blank fields on an existing patient are filled in;
+ * fields that already have a value are left alone (the patient record is the source of truth).
+ * @param {object} reg - Registration data with no_rekam_medis.
+ * @param {string|null} userId - User creating or updating the registration.
+ * @returns {Promise<object|null>} - The patient row, or null when the registration has no MRN.
+ */
+async function linkPatient(reg, userId) {
+    const mrn = normalizeMrn(reg.no_rekam_medis);
+    if (!mrn) return null;
+
+    const { data: existing, error } = await supabase
+        .from('patients')
+        .select('*')
+        .eq('no_rekam_medis', mrn)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (existing) {
+        const fill = {};
+        PATIENT_IDENTITY_FIELDS.forEach(field => {
+            if (!existing[field] && reg[field]) fill[field] = reg[field];
+        });
+        if (Object.keys(fill).length === 0) return existing;
+
+        const { data: updated, error: uError } = await supabase
+            .from('patients')
+            .update({ ...fill, updated_at: new Date().toISOString(), updated_by: userId })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (uError) throw uError;
+        return updated;
+    }
+
+    const newPatient = { no_rekam_medis: mrn, created_by: userId };
+    PATIENT_IDENTITY_FIELDS.forEach(field => {
+        if (reg[field]) newPatient[field] = reg[field];
+    });
+
+    const { data: created, error: cError } = await supabase
+        .from('patients')
+        .insert([newPatient])
+        .select()
+        .single();
+
+    if (cError) {
+        // Another request created the same patient in the meantime
+        if (cError.code === '23505') {
+            const { data: raced, error: rError } = await supabase
+                .from('patients')
+                .select('*')
+                .eq('no_rekam_medis', mrn)
+                .single();
+            if (rError) throw rError;
+            return raced;
+        }
+        throw cError;
+    }
+
+    return created;
+}
+
+/**
+ * One-off migration: group every registration by normalized no_rekam_medis, create a patient for
+ * each group that does not have one yet and link the registrations to it. Safe to run again.
+ * The newest registration in a group supplies the patient's name and contact numbers; groups whose
+ * registrations disagree on the name are reported so the records can be checked by hand.
+ * @param {object} options
+ * @param {boolean} [options.dryRun=false] - Only report what would change.
+ * @param {string|null} [options.userId] - Recorded as created_by on new patients.
+ * @returns {Promise<object>} - Migration summary.
+ */
+async function migrateRegistrationsToPatients({ dryRun = false, userId = null } = {}) {
+    const registrations = await fetchAllRows(() => supabase
+        .from('pendaftaran_operasi')
+        .select('id, patient_id, no_rekam_medis, nama_pasien, jenis_kelamin, nomor_telp_1, nomor_telp_2, waktu_pendaftaran')
+        .order('id', { ascending: true }));
+
+    const groups = new Map();
+    let skipped = 0;
+    for (const reg of registrations) {
+        const mrn = normalizeMrn(reg.no_rekam_medis);
+        if (!mrn) {
+            skipped++;
+            continue;
+        }
+        if (!groups.has(mrn)) groups.set(mrn, []);
+        groups.get(mrn).push(reg);
+    }
+
+    const patients = await fetchAllRows(() => supabase
+        .from('patients')
+        .select('id, no_rekam_medis')
+        .order('id', { ascending: true }));
+    const patientIds = new Map(patients.map(p => [p.no_rekam_medis, p.id]));
+
+    const toCreate = [];
+    const nameConflicts = [];
+    for (const [mrn, regs] of groups) {
+        const newestFirst = [...regs].sort((a, b) => String(b.waktu_pendaftaran || '').localeCompare(String(a.waktu_pendaftaran || '')));
+
+        const names = [...new Set(regs.map(r => (r.nama_pasien || '').trim()).filter(Boolean))];
+        if (new Set(names.map(n => n.toUpperCase().replace(/\s+/g, ' '))).size > 1) {
+            nameConflicts.push({ no_rekam_medis: mrn, names, registrations: regs.length });
+        }
+
+        if (patientIds.has(mrn)) continue;
+
+        const patient = { no_rekam_medis: mrn, created_by: userId };
+        PATIENT_IDENTITY_FIELDS.forEach(field => {
+            const source = newestFirst.find(r => r[field]);
+            if (source) patient[field] = source[field].trim();
+        });
+        toCreate.push(patient);
+    }
+
+    if (!dryRun && toCreate.length > 0) {
+        const { data: created, error } = await supabase
+            .from('patients')
+            .insert(toCreate)
+            .select('id, no_rekam_medis');
+        if (error) throw error;
+        created.forEach(p => patientIds.set(p.no_rekam_medis, p.id));
+    }
+
+    let linked = 0;
+    for (const [mrn, regs] of groups) {
+        const patientId = patientIds.get(mrn);
+        const unlinked = regs.filter(r => !patientId || r.patient_id !== patientId).map(r => r.id);
+        if (unlinked.length === 0) continue;
+        linked += unlinked.length;
+        if (dryRun) continue;
+
+        // Linking only sets patient_id; it is not a user edit, so no version is recorded
+        const { error } = await supabase
+            .from('pendaftaran_operasi')
+            .update({ patient_id: patientId })
+            .in('id', unlinked);
+        if (error) throw error;
+    }
+
+    return {
+        dry_run: dryRun,
+        registrations: registrations.length,
+        skipped_without_mrn: skipped,
+        patients_found: groups.size,
+        patients_created: toCreate.length,
+        registrations_linked: linked,
+        name_conflicts: nameConflicts
+    };
+}
+
+/**
+ * @openapi
+ * /api/patients:
+ *   get:
+ *     summary: List patients
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Search by name or medical record number (case-insensitive, partial)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of patients with pagination metadata.
+ */
+// Get All Patients API
+app.get('/api/patients', authenticateToken, authorize('patients:read'), async (req, res) => {
+    try {
+        const { q, page = 1, pageSize = 10 } = req.query;
+        const pageNum = parseInt(page);
+        const sizeNum = parseInt(pageSize);
+        const from = (pageNum - 1) * sizeNum;
+        const to = from + sizeNum - 1;
+
+        let query = supabase
+            .from('patients')
+            .select('*', { count: 'exact' });
+
+        const search = q ? String(q).replace(/[,()%*\\]/g, ' ').replace(/\s+/g, ' ').trim() : '';
+        if (search) {
+            query = query.or(`nama_pasien.ilike.%${search}%,no_rekam_medis.ilike.%${search}%`);
+        }
+
+        const { data: patients, error, count } = await query
+            .order('nama_pasien', { ascending: true })
+            .range(from, to);
+
+        if (error) throw error;
+
+        res.json({
+            data: patients,
+            pagination: {
+                total: count,
+                page: pageNum,
+                pageSize: sizeNum,
+                totalPages: Math.ceil(count / sizeNum)
+            }
+        });
+    } catch (err) {
+        console.error('Fetch patients error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients/autocomplete:
+ *   get:
+ *     summary: Look up patients while typing a name or medical record number
+ *     description: Medical record numbers that start with the query are listed before name matches.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: At least 2 characters
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 25
+ *     responses:
+ *       200:
+ *         description: Matching patients.
+ */
+// Patient Autocomplete API
+app.get('/api/patients/autocomplete', authenticateToken, authorize('patients:read'), async (req, res) => {
+    const search = String(req.query.q || '').replace(/[,()%*\\]/g, ' ').replace(/\s+/g, ' ').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 10, 25);
+
+    if (search.length < 2) return res.json({ data: [] });
+
+    try {
+        const mrnPrefix = normalizeMrn(search);
+        const { data: patients, error } = await supabase
+            .from('patients')
+            .select(PATIENT_LIST_COLUMNS)
+            .or(`no_rekam_medis.ilike.${mrnPrefix}%,nama_pasien.ilike.%${search}%`)
+            .order('nama_pasien', { ascending: true })
+            .limit(limit);
+
+        if (error) throw error;
+
+        const ranked = [
+            ...patients.filter(p => p.no_rekam_medis.startsWith(mrnPrefix)),
+            ...patients.filter(p => !p.no_rekam_medis.startsWith(mrnPrefix))
+        ];
+
+        res.json({ data: ranked });
+    } catch (err) {
+        console.error('Patient autocomplete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients/migrate:
+ *   post:
+ *     summary: Create patients from existing registrations and link them
+ *     description: Groups registrations by medical record number. Safe to run more than once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         description: Only report what would change
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Migration summary, including medical record numbers registered under different names.
+ */
+// Migrate Registrations To Patients API
+app.post('/api/patients/migrate', authenticateToken, authorize('patients:migrate'), async (req, res) => {
+    try {
+        const dryRun = req.query.dry_run === 'true';
+        const summary = await migrateRegistrationsToPatients({ dryRun, userId: req.user.id });
+
+        if (!dryRun) {
+            await recordAudit(req, { entity: 'patients', entityId: null, action: 'migrate', after: { ...summary, name_conflicts: summary.name_conflicts.length } });
+        }
+
+        res.json({
+            message: dryRun ? 'Dry run completed, nothing was changed' : 'Patient migration completed',
+            data: summary
+        });
+    } catch (err) {
+        console.error('Patient migration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients/{mrn}:
+ *   get:
+ *     summary: Get a patient by medical record number
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mrn
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient details.
+ *       404:
+ *         description: Patient not found.
+ */
+// Get Patient By MRN API
+app.get('/api/patients/:mrn', authenticateToken, authorize('patients:read'), async (req, res) => {
+    try {
+        const { data: patient, error } = await supabase
+            .from('patients')
+            .select('*')
+            .eq('no_rekam_medis', normalizeMrn(req.params.mrn))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!patient) return res.status(404).json({ error: 'Patient not found' });
+
+        res.json({ data: patient });
+    } catch (err) {
+        console.error('Fetch patient error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients:
+ *   post:
+ *     summary: Create a patient
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [no_rekam_medis, nama_pasien]
+ *             properties:
+ *               no_rekam_medis:
+ *                 type: string
+ *               nama_pasien:
+ *                 type: string
+ *               tanggal_lahir:
+ *                 type: string
+ *                 format: date
+ *               jenis_kelamin:
+ *                 type: string
+ *               nomor_telp_1:
+ *                 type: string
+ *               nomor_telp_2:
+ *                 type: string
+ *               alamat:
+ *                 type: string
+ *               nik:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Patient created.
+ *       409:
+ *         description: A patient with this medical record number already exists.
+ *       422:
+ *         description: Validation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Add Patient API
+app.post('/api/patients', authenticateToken, authorize('patients:write'), async (req, res) => {
+    try {
+        const { data: body, errors } = await validatePayload(PATIENT_SCHEMA, req.body);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data, error } = await supabase
+            .from('patients')
+            .insert([{ ...body, no_rekam_medis: normalizeMrn(body.no_rekam_medis), created_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'Patient with this medical record number already exists' });
+            }
+            throw error;
+        }
+
+        await recordAudit(req, { entity: 'patients', entityId: data.id, action: 'create', after: data });
+
+        res.status(201).json({ message: 'Patient created successfully', data });
+    } catch (err) {
+        console.error('Create patient error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients/{mrn}:
+ *   put:
+ *     summary: Update a patient
+ *     description: |
+ *       The medical record number cannot be changed. Corrected name, sex and phone numbers are copied
+ *       to the patient's registrations that are not done or cancelled yet, so reminders use them.
+ *       A registration edited at the same time is re-read and retried; any still not updated after
+ *       that are listed in unsynced_registration_ids.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mrn
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nama_pasien:
+ *                 type: string
+ *               tanggal_lahir:
+ *                 type: string
+ *                 format: date
+ *               jenis_kelamin:
+ *                 type: string
+ *               nomor_telp_1:
+ *                 type: string
+ *               nomor_telp_2:
+ *                 type: string
+ *               alamat:
+ *                 type: string
+ *               nik:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient updated.
+ *       404:
+ *         description: Patient not found.
+ *       422:
+ *         description: Validation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+// Update Patient API
+app.put('/api/patients/:mrn', authenticateToken, authorize('patients:write'), async (req, res) => {
+    try {
+        const { data: body, errors } = await validatePayload(PATIENT_SCHEMA, req.body, { partial: true });
+        if ('no_rekam_medis' in body && normalizeMrn(body.no_rekam_medis) !== normalizeMrn(req.params.mrn)) {
+            errors.push({ field: 'no_rekam_medis', message: 'cannot be changed' });
+        }
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+        delete body.no_rekam_medis;
+
+        const { data: before, error: bError } = await supabase
+            .from('patients')
+            .select('*')
+            .eq('no_rekam_medis', normalizeMrn(req.params.mrn))
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Patient not found' });
+
+        const { data, error } = await supabase
+            .from('patients')
+            .update({ ...body, updated_at: new Date().toISOString(), updated_by: req.user.id })
+            .eq('id', before.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const identity = {};
+        PATIENT_IDENTITY_FIELDS.forEach(field => {
+            if (field in body) identity[field] = body[field];
+        });
+        const unsynced = [];
+        if (Object.keys(identity).length > 0) {
+            const { data: openRegs, error: rError } = await supabase
+                .from('pendaftaran_operasi')
+                .select('*')
+                .eq('patient_id', before.id)
+                .is('deleted_at', null)
+                .or('status.is.null,status.not.in.(done,cancelled)');
+
+            if (rError) throw rError;
+
+            // Row by row so each registration gets its own version entry
+            for (let reg of openRegs) {
+                for (let attempt = 1; reg && diffVersions(reg, { ...reg, ...identity }).length > 0; attempt++) {
+                    const { data: updatedReg, error: uError } = await whereVersion(supabase
+                        .from('pendaftaran_operasi')
+                        .update({ ...identity, version: nextVersion(reg), updated_on: new Date().toISOString(), updated_by: req.user.id })
+                        .eq('id', reg.id), reg)
+                        .select()
+                        .maybeSingle();
+
+                    if (uError) throw uError;
+                    if (updatedReg) {
+                        await recordRegistrationVersions(req, { before: reg, after: updatedReg, action: 'patient_update' });
+                        break;
+                    }
+                    if (attempt === PATIENT_SYNC_ATTEMPTS) {
+                        unsynced.push(reg.id);
+                        break;
+                    }
+
+                    // Edited concurrently: apply the identity on top of the other writer's version
+                    const { data: current, error: cError } = await supabase
+                        .from('pendaftaran_operasi')
+                        .select('*')
+                        .eq('id', reg.id)
+                        .is('deleted_at', null)
+                        .or('status.is.null,status.not.in.(done,cancelled)')
+                        .maybeSingle();
+
+                    if (cError) throw cError;
+                    reg = current;
+                }
+            }
+        }
+
+        await recordAudit(req, { entity: 'patients', entityId: before.id, action: 'update', before, after: data });
+
+        res.json({
+            message: 'Patient updated successfully',
+            data,
+            ...(unsynced.length > 0 && { unsynced_registration_ids: unsynced })
+        });
+    } catch (err) {
+        console.error('Update patient error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/patients/{mrn}/surgeries:
+ *   get:
+ *     summary: Surgical history of a patient
+ *     description: All registrations linked to the patient, newest planned date first, including cancelled ones.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mrn
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient and their registrations.
+ *       404:
+ *         description: Patient not found.
+ */
+// Patient Surgery History API
+app.get('/api/patients/:mrn/surgeries', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { data: patient, error: pError } = await supabase
+            .from('patients')
+            .select(PATIENT_LIST_COLUMNS)
+            .eq('no_rekam_medis', normalizeMrn(req.params.mrn))
+            .maybeSingle();
+
+        if (pError) throw pError;
+        if (!patient) return res.status(404).json({ error: 'Patient not found' });
+
+        const { data: surgeries, error } = await supabase
+            .from('pendaftaran_operasi')
+            .select('id, waktu_pendaftaran, tanggal_rencana_operasi, jam_rencana_operasi, status, jenis_operasi, klasifikasi_operasi, diagnosis, tindakan_operasi, rencana_tindakan, dokter_operator, dokter_anestesi, ruang_operasi, penjamin')
+            .eq('patient_id', patient.id)
+            .is('deleted_at', null)
+            .order('tanggal_rencana_operasi', { ascending: false, nullsFirst: false })
+            .order('waktu_pendaftaran', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({
+            patient,
+            data: surgeries.map(s => ({ ...s, status: s.status || 'registered' })),
+            total: surgeries.length
+        });
+    } catch (err) {
+        console.error('Fetch patient surgeries error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reports. Each builder returns the same JSON the report endpoint has always returned;
+// the endpoints send it as JSON or, with ?format=csv|xlsx, as a spreadsheet.
+const INDONESIAN_MONTHS = [
+    "JANUARI", "PEBRUARI", "MARET", "APRIL", "MEI", "JUNI",
+    "JULI", "AGUSTUS", "SEPTEMBER", "OKTOBER", "NOPEMBER", "DESEMBER"
+];
+
+/**
+ * Monthly counts per jenis_operasi (ELEKTIF/CITO) and klasifikasi_operasi.
+ * @param {Array<object>} dbData - Rows with tanggal_rencana_operasi, jenis_operasi, klasifikasi_operasi.
+ * @param {object} [options]
+ * @param {boolean} [options.withJumlah=true] - Add JUMLAH (ELEKTIF + CITO) to each row.
+ * @returns {Array<object>} - One row per month.
+ */
+function pivotJenisKlasifikasiByMonth(dbData, { withJumlah = true } = {}) {
+    return INDONESIAN_MONTHS.map((monthName, index) => {
+        const monthNum = index + 1;
+        const row = {
+            "BULAN": monthName,
+            "ELEKTIF": 0,
+            "CITO": 0,
+            "KHUSUS": 0,
+            "BESAR": 0,
+            "SEDANG": 0,
+            "KECIL": 0
+        };
+        if (withJumlah) row.JUMLAH = 0;
+
+        (dbData || []).forEach(d => {
+            const date = new Date(d.tanggal_rencana_operasi);
+            const dMonth = date.getMonth() + 1;
+            if (dMonth === monthNum) {
+                // Count Jenis Operasi
+                if (d.jenis_operasi === 'ELEKTIF') row.ELEKTIF++;
+                else if (d.jenis_operasi === 'CITO') row.CITO++;
+
+                // Count Klasifikasi Operasi
+                const klasifikasi = d.klasifikasi_operasi ? d.klasifikasi_operasi.toUpperCase() : null;
+                if (klasifikasi) {
+                    if (row[klasifikasi] !== undefined) {
+                        row[klasifikasi]++;
+                    } else {
+                        row[klasifikasi] = 1;
+                    }
+                }
+            }
+        });
+
+        if (withJumlah) row.JUMLAH = row.ELEKTIF + row.CITO;
+        return row;
+    });
+}
+
+/**
+ * Fetch the registrations planned in a year that are not cancelled or postponed.
+ * @param {number} year
+ * @param {string} columns - Columns to select.
+ * @param {object} [filters] - Extra equality filters, e.g. { dokter_operator: 'dr. X' }.
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchYearRegistrations(year, columns, filters = {}) {
+    return fetchAllRows(() => {
+        let query = supabase
+            .from('pendaftaran_operasi')
+            .select(columns)
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
+            .gte('tanggal_rencana_operasi', `${year}-01-01`)
+            .lte('tanggal_rencana_operasi', `${year}-12-31`);
+
+        Object.entries(filters).forEach(([field, value]) => {
+            query = query.eq(field, value);
+        });
+
+        return query.order('id', { ascending: true });
+    });
+}
+
+/**
+ * Monthly registrations pivoted by the active PENJAMIN parameters, with a TOTAL row.
+ * @param {number} year
+ * @returns {Promise<Array<object>>} - Empty when no penjamin is configured.
+ */
+async function buildPenjaminReport(year) {
+    // 1. Get all penjamin names from mst_parameter
+    const { data: listPenjaminData, error: pError } = await supabase
+        .from('mst_parameter')
+        .select('param_name')
+        .is('deleted_at', null)
+        .eq('param_type', 'PENJAMIN')
+        .eq('is_active', true)
+        .order('sort_order', { ascending: true });
+
+    if (pError) throw pError;
+    const listPenjamin = listPenjaminData.map(row => row.param_name);
+
+    if (listPenjamin.length === 0) return [];
+
+    // 2. Fetch registrations for the requested year
+    const dbData = await fetchYearRegistrations(year, 'tanggal_rencana_operasi, penjamin');
+
+    // 3. Pivot per month
+    const report = INDONESIAN_MONTHS.map((monthName, index) => {
+        const monthNum = index + 1;
+        const row = { "BULAN": monthName };
+
+        listPenjamin.forEach(p => {
+            row[p] = 0;
+        });
+
+        dbData.forEach(d => {
+            const date = new Date(d.tanggal_rencana_operasi);
+            const dMonth = date.getMonth() + 1;
+            if (dMonth === monthNum && row.hasOwnProperty(d.penjamin)) {
+                row[d.penjamin]++;
+            }
+        });
+
+        return row;
+    });
+
+    // 4. Add TOTAL row
+    const totalRow = { "BULAN": "TOTAL" };
+    listPenjamin.forEach(p => {
+        totalRow[p] = report.reduce((sum, monthRow) => sum + (monthRow[p] || 0), 0);
+    });
+    report.push(totalRow);
+
+    return report;
+}
+
+/**
+ * Monthly ELEKTIF/CITO and klasifikasi counts for one poli (pendaftaran_dari).
+ * @param {number} year
+ * @param {string} poli
+ * @returns {Promise<Array<object>>}
+ */
+async function buildPoliReport(year, poli) {
+    const dbData = await fetchYearRegistrations(year, 'tanggal_rencana_operasi, jenis_operasi, klasifikasi_operasi', { pendaftaran_dari: poli });
+    const report = pivotJenisKlasifikasiByMonth(dbData);
+
+    const totalRow = {
+        "BULAN": "TOTAL",
+        "ELEKTIF": report.reduce((s, r) => s + r.ELEKTIF, 0),
+        "CITO": report.reduce((s, r) => s + r.CITO, 0),
+        "JUMLAH": 0
+    };
+    totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
+    report.push(totalRow);
+
+    return report;
+}
+
+/**
+ * Monthly ELEKTIF/CITO and klasifikasi counts for one dokter_operator.
+ * @param {number} year
+ * @param {string} dokter
+ * @returns {Promise<Array<object>>}
+ */
+async function buildDoctorReport(year, dokter) {
+    const dbData = await fetchYearRegistrations(year, 'tanggal_rencana_operasi, jenis_operasi, klasifikasi_operasi', { dokter_operator: dokter });
+    const report = pivotJenisKlasifikasiByMonth(dbData);
+
+    const totalRow = {
+        "BULAN": "TOTAL",
+        "ELEKTIF": report.reduce((s, r) => s + r.ELEKTIF, 0),
+        "CITO": report.reduce((s, r) => s + r.CITO, 0),
+        "KHUSUS": report.reduce((s, r) => s + r.KHUSUS, 0),
+        "BESAR": report.reduce((s, r) => s + r.BESAR, 0),
+        "SEDANG": report.reduce((s, r) => s + r.SEDANG, 0),
+        "KECIL": report.reduce((s, r) => s + r.KECIL, 0),
+        "JUMLAH": 0
+    };
+    totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
+    report.push(totalRow);
+
+    return report;
+}
+
+/**
+ * Monthly ELEKTIF/CITO and klasifikasi counts across all polis.
+ * @param {number} year
+ * @returns {Promise<Array<object>>}
+ */
+async function buildYearlySummaryReport(year) {
+    const dbData = await fetchYearRegistrations(year, 'tanggal_rencana_operasi, jenis_operasi, klasifikasi_operasi');
+    const report = pivotJenisKlasifikasiByMonth(dbData, { withJumlah: false });
+
+    const totalRow = {
+        "BULAN": "TOTAL",
+        "ELEKTIF": report.reduce((s, r) => s + (r.ELEKTIF || 0), 0),
+        "CITO": report.reduce((s, r) => s + (r.CITO || 0), 0),
+        "KHUSUS": report.reduce((s, r) => s + (r.KHUSUS || 0), 0),
+        "BESAR": report.reduce((s, r) => s + (r.BESAR || 0), 0),
+        "SEDANG": report.reduce((s, r) => s + (r.SEDANG || 0), 0),
+        "KECIL": report.reduce((s, r) => s + (r.KECIL || 0), 0)
+    };
+    report.push(totalRow);
+
+    return report;
+}
+
+/**
+ * Number of surgeries per tindakan_operasi for one dokter_operator.
+ * @param {number} year
+ * @param {string} dokter
+ * @returns {Promise<{dokter: string, year: number, tindakan: Array<{jenis: string, count: number}>, total: number}>}
+ */
+async function buildDoctorSurgeryCountReport(year, dokter) {
+    const dbData = await fetchYearRegistrations(year, 'tindakan_operasi', { dokter_operator: dokter });
+
+    const counts = dbData.reduce((acc, row) => {
+        const tindakan = row.tindakan_operasi || 'TIDAK DIKETAHUI';
+        acc[tindakan] = (acc[tindakan] || 0) + 1;
+        return acc;
+    }, {});
+
+    const tindakanList = Object.entries(counts).map(([jenis, count]) => ({
+        jenis,
+        count
+    }));
+
+    return {
+        dokter,
+        year,
+        tindakan: tindakanList,
+        total: dbData.length
+    };
+}
+
+/**
+ * Mock yearly report for front-end testing (?mock=true).
+ * @returns {Array<object>}
+ */
+function buildMockJenisReport() {
+    const mockReport = INDONESIAN_MONTHS.map(month => ({
+        "BULAN": month,
+        "ELEKTIF": Math.floor(Math.random() * 50),
+        "CITO": Math.floor(Math.random() * 20),
+        "JUMLAH": 0
+    }));
+    mockReport.forEach(row => row.JUMLAH = row.ELEKTIF + row.CITO);
+
+    const totalRow = {
+        "BULAN": "TOTAL",
+        "ELEKTIF": mockReport.reduce((s, r) => s + r.ELEKTIF, 0),
+        "CITO": mockReport.reduce((s, r) => s + r.CITO, 0),
+        "JUMLAH": 0
+    };
+    totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
+    mockReport.push(totalRow);
+    return mockReport;
+}
+
+// Spreadsheet exports (?format=csv or ?format=xlsx)
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_PAGE_SIZE = 1000;
+
+const REGISTRATION_STATUS_LABELS = {
+    registered: 'Terdaftar',
+    scheduled: 'Terjadwal',
+    in_progress: 'Sedang Operasi',
+    done: 'Selesai',
+    postponed: 'Ditunda',
+    cancelled: 'Dibatalkan'
+};
+
+// Columns of the schedule export, in sheet order
+const REGISTRATION_EXPORT_COLUMNS = [
+    { header: 'Tanggal Operasi', key: 'tanggal_rencana_operasi', width: 14 },
+    { header: 'Jam', value: r => (r.jam_rencana_operasi ? r.jam_rencana_operasi.slice(0, 5) : ''), width: 8 },
+    { header: 'Durasi (menit)', key: 'durasi_rencana_menit', width: 10 },
+    { header: 'Ruang Operasi', key: 'ruang_operasi', width: 14 },
+    { header: 'No. RM', key: 'no_rekam_medis', width: 12 },
+    { header: 'Nama Pasien', key: 'nama_pasien', width: 28 },
+    {
+        header: 'Umur',
+        value: r => {
+            if (r.jenis_umur === 'bulan' || r.jenis_umur === 'hari') return r.umur_bulan !== null && r.umur_bulan !== undefined ? `${r.umur_bulan} ${r.jenis_umur}` : '';
+            return r.umur_tahun !== null && r.umur_tahun !== undefined ? `${r.umur_tahun} tahun` : '';
+        },
+        width: 10
+    },
+    { header: 'Jenis Kelamin', key: 'jenis_kelamin', width: 12 },
+    { header: 'Diagnosis', key: 'diagnosis', width: 30 },
+    { header: 'Tindakan Operasi', key: 'tindakan_operasi', width: 28 },
+    { header: 'Jenis Operasi', key: 'jenis_operasi', width: 10 },
+    { header: 'Klasifikasi', key: 'klasifikasi_operasi', width: 10 },
+    { header: 'Dokter Operator', key: 'dokter_operator', width: 26 },
+    { header: 'Dokter Anestesi', key: 'dokter_anestesi', width: 26 },
+    { header: 'Penjamin', key: 'penjamin', width: 12 },
+    { header: 'Kelas', key: 'kelas', width: 8 },
+    { header: 'Ruang Rawat Inap', key: 'ruangan_rawat_inap', width: 16 },
+    { header: 'Pendaftaran Dari', key: 'pendaftaran_dari', width: 16 },
+    { header: 'No. Telp', key: 'nomor_telp_1', width: 15 },
+    { header: 'Status', value: r => REGISTRATION_STATUS_LABELS[r.status || 'registered'] || r.status, width: 14 },
+    { header: 'Catatan', key: 'catatan', width: 30 },
+    { header: 'Didaftarkan Oleh', key: 'user_created', width: 20 }
+];
+
+/**
+ * Express middleware: reject unknown ?format= values before any work is done.
+ */
+function checkExportFormat(req, res, next) {
+    const { format } = req.query;
+    if (format && format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: json, ${EXPORT_FORMATS.join(', ')}` });
+    }
+    next();
+}
+
+/**
+ * Long Indonesian date, e.g. "19 Oktober 2026".
+ * @param {string|Date} value - YYYY-MM-DD or Date.
+ * @returns {string}
+ */
+function formatTanggalIndonesia(value) {
+    const date = typeof value === 'string' ? new Date(`${value}T00:00:00+07:00`) : value;
+    return date.toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Jakarta' });
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would run as a formula is prefixed with "'".
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-]?[\d\s.-]+$/.test(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Start a spreadsheet download and write it as rows arrive. Both formats carry the report title,
+ * the period, a header row and a "generated by" footer. XLSX is written with ExcelJS's streaming writer.
+ * @param {object} res - Express response.
+ * @param {object} options
+ * @param {string} options.format - "csv" or "xlsx".
+ * @param {string} options.filename - Without extension.
+ * @param {string} options.title
+ * @param {string} options.period - e.g. "Tahun 2026".
+ * @param {Array<{header: string, key?: string, value?: function, width?: number}>} options.columns
+ * @param {object} options.user - req.user, named in the footer.
+ * @returns {{addRows: function(Array<object>): void, finish: function(): Promise<void>}}
+ */
+function createExportWriter(res, { format, filename, title, period, columns, user }) {
+    const cellValue = (col, row) => {
+        const value = col.value ? col.value(row) : row[col.key];
+        return value === null || value === undefined ? '' : value;
+    };
+    const generatedAt = new Date().toLocaleString('id-ID', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Jakarta' });
+    const footer = `Dibuat oleh ${user.full_name || user.api_key_name || 'sistem'} pada ${generatedAt} WIB`;
+    const isTotal = row => String(cellValue(columns[0], row)).toUpperCase() === 'TOTAL';
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'csv') {
+        const line = values => values.map(csvField).join(',') + '\r\n';
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        // BOM so Excel opens the file as UTF-8
+        res.write('\uFEFF' + line([title]) + line([period]) + '\r\n' + line(columns.map(c => c.header)));
+
+        return {
+            addRows: rows => {
+                if (rows.length > 0) res.write(rows.map(row => line(columns.map(col => cellValue(col, row)))).join(''));
+            },
+            finish: async () => {
+                res.end('\r\n' + line([footer]));
+            }
+        };
+    }
+
+    res.setHeader('Content-Type', XLSX_MIME_TYPE);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    workbook.creator = footer;
+    const sheet = workbook.addWorksheet(title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 4 }]
+    });
+    sheet.columns = columns.map(col => ({ width: col.width || Math.max(10, col.header.length + 2) }));
+
+    const thin = { style: 'thin' };
+    const border = { top: thin, left: thin, bottom: thin, right: thin };
+
+    const titleRow = sheet.addRow([title]);
+    titleRow.font = { bold: true, size: 14 };
+    const periodRow = sheet.addRow([period]);
+    periodRow.font = { italic: true };
+    // Merging must happen before the rows are committed to the stream
+    sheet.mergeCells(1, 1, 1, columns.length);
+    sheet.mergeCells(2, 1, 2, columns.length);
+    titleRow.commit();
+    periodRow.commit();
+    sheet.addRow([]).commit();
+
+    const headerRow = sheet.addRow(columns.map(c => c.header));
+    headerRow.eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+        cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+        cell.border = border;
+    });
+    headerRow.commit();
+
+    return {
+        addRows: rows => {
+            rows.forEach(row => {
+                const sheetRow = sheet.addRow(columns.map(col => cellValue(col, row)));
+                sheetRow.eachCell({ includeEmpty: true }, cell => {
+                    cell.border = border;
+                });
+                if (isTotal(row)) {
+                    sheetRow.font = { bold: true };
+                    sheetRow.eachCell(cell => {
+                        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDDEBF7' } };
+                    });
+                }
+                sheetRow.commit();
+            });
+        },
+        finish: async () => {
+            sheet.addRow([]).commit();
+            const footerRow = sheet.addRow([footer]);
+            footerRow.font = { italic: true, size: 9 };
+            footerRow.commit();
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+/**
+ * Send an in-memory report (rows of one object per line) as a spreadsheet.
+ * @param {object} req - Express request (format and user).
+ * @param {object} res - Express response.
+ * @param {object} options - title, period, filename and rows; columns default to the keys of the first row.
+ * @returns {Promise<void>}
+ */
+async function sendReportExport(req, res, { title, period, filename, rows, columns }) {
+    const exportColumns = columns || Object.keys(rows[0] || { BULAN: '' }).map(key => ({ header: key, key }));
+    const writer = createExportWriter(res, { format: req.query.format, filename, title, period, columns: exportColumns, user: req.user });
+    writer.addRows(rows);
+    await writer.finish();
+}
+
+/**
+ * Slug for export file names.
+ * @param {string} text
+ * @returns {string}
+ */
+function exportSlug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @openapi
+ * /api/report/yearly-summary-penjamin:
+ *   get:
+ *     summary: Get yearly monthly summary report for penjamin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           default: 2026
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Monthly summary pivoted by penjamin.
+ */
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       description: json (default), or csv / xlsx to download a spreadsheet with the title, period and a generated-by footer
+ *       schema:
+ *         type: string
+ *         enum: [json, csv, xlsx]
+ */
+// Yearly Monthly Summary Report API
+app.get('/api/report/yearly-summary-penjamin', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
+
+    try {
+        const report = await buildPenjaminReport(reportYear);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: 'Rekapitulasi Operasi per Penjamin',
+                period: `Tahun ${reportYear}`,
+                filename: `rekap-penjamin-${reportYear}`,
+                rows: report
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error('Yearly summary report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating report',
+            details: err.message
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/report/yearly-summary-poli:
+ *   get:
+ *     summary: Get yearly monthly summary report for a specific poli
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 2026
+ *       - in: query
+ *         name: poli
+ *         description: Poli name (pendaftaran_dari)
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Monthly summary with ELEKTIF and CITO counts and KHUSUS/BESAR/SEDANG/KECIL counts by klasifikasi_operasi.
+ */
+// Yearly Poli Summary Report API
+app.get('/api/report/yearly-summary-poli', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, poli, mock, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
+
+    if (!poli && mock !== 'true') {
+        return res.status(400).json({ error: 'Parameter "poli" is required' });
+    }
+
+    try {
+        // Mock response for testing
+        const report = mock === 'true' ? buildMockJenisReport() : await buildPoliReport(reportYear, poli);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: `Rekapitulasi Operasi Poli ${poli || ''}`.trim(),
+                period: `Tahun ${reportYear}`,
+                filename: `rekap-poli-${exportSlug(poli || 'mock')}-${reportYear}`,
+                rows: report
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error('Poli summary report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating poli report',
+            details: err.message
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/report/yearly-summary-doctor:
+ *   get:
+ *     summary: Get yearly monthly summary report for a specific doctor
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 2026
+ *       - in: query
+ *         name: dokter
+ *         description: Doctor name (dokter_operator)
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Monthly summary with ELEKTIF and CITO counts for the doctor.
+ */
+// Yearly Doctor Summary Report API
+app.get('/api/report/yearly-summary-doctor', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, dokter, mock, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
+
+    if (!dokter && mock !== 'true') {
+        return res.status(400).json({ error: 'Parameter "dokter" is required' });
+    }
+
+    try {
+        // Mock response for testing
+        const report = mock === 'true' ? buildMockJenisReport() : await buildDoctorReport(reportYear, dokter);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: `Rekapitulasi Operasi ${dokter || ''}`.trim(),
+                period: `Tahun ${reportYear}`,
+                filename: `rekap-dokter-${exportSlug(dokter || 'mock')}-${reportYear}`,
+                rows: report
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error('Doctor summary report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating doctor report',
+            details: err.message
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/report/yearly-summary:
+ *   get:
+ *     summary: Get general yearly monthly summary report for all poli
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 2026
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Monthly summary with aggregated ELEKTIF and CITO counts and KHUSUS/BESAR/SEDANG/KECIL counts by klasifikasi_operasi across all polis.
+ */
+// General Yearly Summary Report API
+app.get('/api/report/yearly-summary', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
+
+    try {
+        const report = await buildYearlySummaryReport(reportYear);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: 'Rekapitulasi Operasi Tahunan',
+                period: `Tahun ${reportYear}`,
+                filename: `rekap-tahunan-${reportYear}`,
+                rows: report
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error('General yearly summary report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating summary report',
+            details: err.message
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/report/doctor-surgery-count:
+ *   get:
+ *     summary: Get surgery count for a specific doctor grouped by surgery type in a year
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
+ *         schema:
+ *           type: integer
+ *           default: 2026
+ *       - in: query
+ *         name: dokter
+ *         description: Doctor name (dokter_operator)
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Grouped surgery counts for the specified doctor.
+ *       400:
+ *         description: Missing doctor name.
+ */
+// Doctor Surgery Count Report API
+app.get('/api/report/doctor-surgery-count', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, dokter, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
+
+    if (!dokter) {
+        return res.status(400).json({ error: 'Parameter "dokter" is required' });
+    }
+
+    try {
+        const report = await buildDoctorSurgeryCountReport(reportYear, dokter);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: `Jumlah Tindakan Operasi ${dokter}`,
+                period: `Tahun ${reportYear}`,
+                filename: `tindakan-${exportSlug(dokter)}-${reportYear}`,
+                columns: [
+                    { header: 'TINDAKAN', key: 'jenis', width: 40 },
+                    { header: 'JUMLAH', key: 'count', width: 10 }
+                ],
+                rows: [...report.tindakan, { jenis: 'TOTAL', count: report.total }]
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error('Doctor surgery count report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating report',
+            details: err.message
+        });
+    }
+});
+
+// OR utilization. In-room time (patient in → patient out) is compared with each room's opening hours
+// (JAM_OPERASIONAL_OK) on the days it is open, up to today. A room's first case of the day starts on time
+// when the patient is in within FIRST_CASE_GRACE_MINUTES of the planned time. The gap between two consecutive
+// cases in a room counts as turnover up to MAX_TURNOVER_MINUTES; longer gaps are idle time.
+// An overrun is in-room time longer than the planned duration.
+const UTILIZATION_PERIODS = ['day', 'month', 'year'];
+const FIRST_CASE_GRACE_MINUTES = 15;
+const MAX_TURNOVER_MINUTES = 120;
+const UTILIZATION_COLUMNS = [
+    { header: 'RUANG OPERASI', key: 'ruang_operasi', width: 20 },
+    { header: 'KASUS', key: 'cases', width: 8 },
+    { header: 'KASUS TANPA WAKTU', key: 'cases_without_times', width: 12 },
+    { header: 'MENIT TERSEDIA', key: 'available_minutes', width: 12 },
+    { header: 'MENIT TERPAKAI', key: 'used_minutes', width: 12 },
+    { header: 'UTILISASI (%)', key: 'utilization_pct', width: 12 },
+    { header: 'MENIT DI LUAR JAM', key: 'overtime_minutes', width: 12 },
+    { header: 'KASUS PERTAMA', key: 'first_cases', width: 10 },
+    { header: 'TEPAT WAKTU', key: 'first_cases_on_time', width: 10 },
+    { header: 'TEPAT WAKTU (%)', key: 'on_time_start_pct', width: 12 },
+    { header: 'TURNOVER', key: 'turnovers', width: 10 },
+    { header: 'RATA-RATA TURNOVER (MENIT)', key: 'avg_turnover_minutes', width: 14 },
+    { header: 'OVERRUN', key: 'overrun_cases', width: 10 },
+    { header: 'OVERRUN (%)', key: 'overrun_pct', width: 12 },
+    { header: 'MENIT OVERRUN', key: 'overrun_minutes', width: 12 }
+];
+
+/**
+ * Date range and label of a report period.
+ * @param {string} period - day, month or year.
+ * @param {string} [date] - YYYY-MM-DD, YYYY-MM or YYYY (defaults to today).
+ * @returns {{from: string, to: string, label: string}|null} - null when date does not fit the period.
+ */
+function parseReportPeriod(period, date) {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const value = date || { day: today, month: today.slice(0, 7), year: today.slice(0, 4) }[period];
+
+    if (period === 'day') {
+        if (validateFieldValue(value, { type: 'date' }).error) return null;
+        return { from: value, to: value, label: formatTanggalIndonesia(value) };
+    }
+    if (period === 'month') {
+        const match = /^(\d{4})-(\d{2})$/.exec(value);
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+        const lastDay = new Date(Date.UTC(Number(match[1]), Number(match[2]), 0)).getUTCDate();
+        const label = new Date(`${value}-01T00:00:00+07:00`).toLocaleDateString('id-ID', { month: 'long', year: 'numeric', timeZone: 'Asia/Jakarta' });
+        return { from: `${value}-01`, to: `${value}-${String(lastDay).padStart(2, '0')}`, label };
+    }
+    if (!/^\d{4}$/.test(value)) return null;
+    return { from: `${value}-01-01`, to: `${value}-12-31`, label: `Tahun ${value}` };
+}
+
+/**
+ * Minutes from local midnight of a date (WIB) to a timestamp; past midnight gives more than 1440.
+ * @param {string} timestamp
+ * @param {string} date - YYYY-MM-DD.
+ * @returns {number}
+ */
+function minutesIntoDay(timestamp, date) {
+    return Math.round((new Date(timestamp) - new Date(`${date}T00:00:00+07:00`)) / 60000);
+}
+
+/**
+ * Percentage with one decimal, or null without a denominator.
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number|null}
+ */
+function percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Utilization, first-case on-time start, turnover and overrun per operating room.
+ * @param {{from: string, to: string}} range - Dates (YYYY-MM-DD), inclusive.
+ * @returns {Promise<{rooms: Array<object>, total: object}>}
+ */
+async function buildOrUtilizationReport({ from, to }) {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const until = to < today ? to : today;
+
+    const cases = await fetchAllRows(() => supabase
+        .from('pendaftaran_operasi')
+        .select(`id, tanggal_rencana_operasi, jam_rencana_operasi, durasi_rencana_menit, tindakan_operasi, ruang_operasi, ${SURGERY_TIMESTAMP_FIELDS.join(', ')}`)
+        .is('deleted_at', null)
+        .or(ACTIVE_BOOKING_FILTER)
+        .not('ruang_operasi', 'is', null)
+        .gte('tanggal_rencana_operasi', from)
+        .lte('tanggal_rencana_operasi', until)
+        .order('id', { ascending: true }));
+
+    const [rooms, hoursFor, defaults] = await Promise.all([loadOperatingRooms(cases), loadRoomOpeningHours(), loadDurationDefaults()]);
+    cases.forEach(c => {
+        if (!rooms.includes(c.ruang_operasi)) rooms.push(c.ruang_operasi);
+    });
+
+    let openDays = 0;
+    for (let day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= until; day.setUTCDate(day.getUTCDate() + 1)) {
+        if (!OR_CLOSED_WEEKDAYS.includes(day.getUTCDay())) openDays++;
+    }
+
+    const stats = {};
+    rooms.forEach(room => {
+        const { open, close } = hoursFor(room);
+        stats[room] = {
+            ruang_operasi: room,
+            cases: 0,
+            cases_without_times: 0,
+            available_minutes: openDays * (close - open),
+            used_minutes: 0,
+            overtime_minutes: 0,
+            first_cases: 0,
+            first_cases_on_time: 0,
+            turnover_minutes: [],
+            overrun_cases: 0,
+            overrun_minutes: 0
+        };
+    });
+
+    // Timed cases per room and day
+    const days = {};
+    cases.forEach(c => {
+        const room = stats[c.ruang_operasi];
+        if (!c.waktu_pasien_masuk || !c.waktu_pasien_keluar) {
+            room.cases_without_times++;
+            return;
+        }
+
+        const { open, close } = hoursFor(c.ruang_operasi);
+        const start = minutesIntoDay(c.waktu_pasien_masuk, c.tanggal_rencana_operasi);
+        const end = minutesIntoDay(c.waktu_pasien_keluar, c.tanggal_rencana_operasi);
+        const inRoom = end - start;
+        const withinHours = Math.max(0, Math.min(end, close) - Math.max(start, open));
+        const overrun = inRoom - plannedDuration(c, defaults);
+
+        room.cases++;
+        room.used_minutes += withinHours;
+        room.overtime_minutes += inRoom - withinHours;
+        if (overrun > 0) {
+            room.overrun_cases++;
+            room.overrun_minutes += overrun;
+        }
+
+        const key = `${c.ruang_operasi}|${c.tanggal_rencana_operasi}`;
+        (days[key] = days[key] || []).push({ ...c, start, end });
+    });
+
+    Object.values(days).forEach(dayCases => {
+        const room = stats[dayCases[0].ruang_operasi];
+
+        const planned = dayCases.filter(c => c.jam_rencana_operasi);
+        if (planned.length > 0) {
+            const first = planned.reduce((a, b) => (timeToMinutes(b.jam_rencana_operasi) < timeToMinutes(a.jam_rencana_operasi) ? b : a));
+            room.first_cases++;
+            if (first.start <= timeToMinutes(first.jam_rencana_operasi) + FIRST_CASE_GRACE_MINUTES) room.first_cases_on_time++;
+        }
+
+        dayCases.sort((a, b) => a.start - b.start);
+        for (let i = 1; i < dayCases.length; i++) {
+            const gap = dayCases[i].start - dayCases[i - 1].end;
+            if (gap >= 0 && gap <= MAX_TURNOVER_MINUTES) room.turnover_minutes.push(gap);
+        }
+    });
+
+    const summarize = s => {
+        const { turnover_minutes: turnovers, ...counts } = s;
+        return {
+            ...counts,
+            utilization_pct: percentage(s.used_minutes, s.available_minutes),
+            on_time_start_pct: percentage(s.first_cases_on_time, s.first_cases),
+            turnovers: turnovers.length,
+            avg_turnover_minutes: turnovers.length > 0 ? Math.round(turnovers.reduce((sum, m) => sum + m, 0) / turnovers.length) : null,
+            overrun_pct: percentage(s.overrun_cases, s.cases)
+        };
+    };
+
+    const roomStats = rooms.map(room => stats[room]);
+    const total = { ruang_operasi: 'TOTAL', turnover_minutes: roomStats.flatMap(s => s.turnover_minutes) };
+    ['cases', 'cases_without_times', 'available_minutes', 'used_minutes', 'overtime_minutes', 'first_cases', 'first_cases_on_time', 'overrun_cases', 'overrun_minutes']
+        .forEach(field => { total[field] = roomStats.reduce((sum, s) => sum + s[field], 0); });
+
+    return { rooms: roomStats.map(summarize), total: summarize(total) };
+}
+
+/**
+ * @openapi
+ * /api/report/or-utilization:
+ *   get:
+ *     summary: Get operating room utilization for a day, month or year
+ *     description: |
+ *       Per room, from the recorded surgery timestamps (see PUT /api/registrations/{id}/timestamps):
+ *       - utilization: in-room minutes within opening hours / opening-hour minutes of the open days up to today
+ *       - on-time first-case start: patient in within 15 minutes of the planned time of the room's first case
+ *       - turnover: patient out → next patient in, for gaps up to 120 minutes
+ *       - overrun: cases whose in-room time exceeded the planned duration
+ *
+ *       Cases without patient in/out times are counted in cases_without_times only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, month, year]
+ *           default: day
+ *       - in: query
+ *         name: date
+ *         description: YYYY-MM-DD for day, YYYY-MM for month, YYYY for year. Defaults to the current one.
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
  *     responses:
  *       200:
- *         description: Parameter updated successfully.
- *       404:
- *         description: Parameter not found.
+ *         description: Metrics per room and a TOTAL.
+ *       400:
+ *         description: Invalid period or date.
  */
-// Update Parameter API
-app.put('/api/parameters/:id', authenticateToken, async (req, res) => {
-    const { id } = req.params;
-    const body = req.body;
+// OR Utilization Report API
+app.get('/api/report/or-utilization', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { period = 'day', date, format } = req.query;
 
-    const updateData = {
-        ...body,
-        updated_at: new Date().toISOString(),
-        updated_by: req.user.id
-    };
+    if (!UTILIZATION_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `Parameter "period" must be one of: ${UTILIZATION_PERIODS.join(', ')}` });
+    }
+    const range = parseReportPeriod(period, date);
+    if (!range) {
+        return res.status(400).json({ error: `Parameter "date" must be ${{ day: 'YYYY-MM-DD', month: 'YYYY-MM', year: 'YYYY' }[period]} for period ${period}` });
+    }
 
     try {
-        const { data, error } = await supabase
-            .from('mst_parameter')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) throw error;
-        if (!data) return res.status(404).json({ error: 'Parameter not found' });
+        const report = await buildOrUtilizationReport(range);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: 'Utilisasi Kamar Operasi',
+                period: range.label,
+                filename: `utilisasi-ok-${period}-${range.from}`,
+                columns: UTILIZATION_COLUMNS,
+                rows: [...report.rooms, report.total]
+            });
+        }
 
-        res.json({ message: 'Parameter updated successfully', data });
+        res.json({
+            period,
+            ...range,
+            thresholds: { first_case_grace_minutes: FIRST_CASE_GRACE_MINUTES, max_turnover_minutes: MAX_TURNOVER_MINUTES },
+            ...report
+        });
     } catch (err) {
-        console.error('Update parameter error:', err);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('OR utilization report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating report',
+            details: err.message
+        });
     }
 });
 
+/**
+ * Monthly safety checklist compliance of the surgeries done in a year: per month the number of cases,
+ * the cases with each phase complete and with the whole checklist complete, against the current items.
+ * @param {number} year
+ * @returns {Promise<Array<object>>} - One row per month and a TOTAL row.
+ */
+async function buildChecklistComplianceReport(year) {
+    // fetchYearRegistrations reads every page, so years with more than 1000 done cases are counted in full
+    const [cases, items] = await Promise.all([
+        fetchYearRegistrations(year, 'id, tanggal_rencana_operasi', { status: 'done' }),
+        loadSafetyChecklist()
+    ]);
+
+    const answers = await fetchAllRows(() => supabase
+        .from('pendaftaran_operasi_checklist')
+        .select('registration_id, phase, item_code, pendaftaran_operasi!inner(id)')
+        .in('answer', CHECKLIST_DONE_ANSWERS)
+        .eq('pendaftaran_operasi.status', 'done')
+        .is('pendaftaran_operasi.deleted_at', null)
+        .gte('pendaftaran_operasi.tanggal_rencana_operasi', `${year}-01-01`)
+        .lte('pendaftaran_operasi.tanggal_rencana_operasi', `${year}-12-31`)
+        .order('registration_id', { ascending: true })
+        .order('phase', { ascending: true })
+        .order('item_code', { ascending: true }));
+
+    const done = new Set(answers.map(a => `${a.registration_id}|${a.phase}|${a.item_code}`));
+    const phaseComplete = (id, phase) => items[phase].every(item => done.has(`${id}|${phase}|${item.code}`));
+
+    const report = INDONESIAN_MONTHS.map(month => ({
+        "BULAN": month, "JUMLAH_KASUS": 0, "SIGN_IN": 0, "TIME_OUT": 0, "SIGN_OUT": 0, "LENGKAP": 0, "PERSEN_LENGKAP": null
+    }));
+
+    cases.forEach(c => {
+        const row = report[Number(c.tanggal_rencana_operasi.slice(5, 7)) - 1];
+        const complete = SAFETY_CHECKLIST_PHASES.map(({ phase }) => phaseComplete(c.id, phase));
+        row.JUMLAH_KASUS++;
+        SAFETY_CHECKLIST_PHASES.forEach(({ phase }, i) => {
+            if (complete[i]) row[phase.toUpperCase()]++;
+        });
+        if (complete.every(Boolean)) row.LENGKAP++;
+    });
+
+    const totalRow = { "BULAN": "TOTAL" };
+    ['JUMLAH_KASUS', 'SIGN_IN', 'TIME_OUT', 'SIGN_OUT', 'LENGKAP'].forEach(key => {
+        totalRow[key] = report.reduce((s, r) => s + r[key], 0);
+    });
+    report.push(totalRow);
+    report.forEach(row => { row.PERSEN_LENGKAP = percentage(row.LENGKAP, row.JUMLAH_KASUS); });
+
+    return report;
+}
+
 /**
  * @openapi
- * /api/parameters/{id}:
- *   delete:
- *     summary: Delete a parameter
+ * /api/report/checklist-compliance:
+ *   get:
+ *     summary: Get monthly surgical safety checklist compliance
+ *     description: |
+ *       For surgeries with status done, per month of the planned date: cases, cases with sign in / time out /
+ *       sign out complete, cases with the whole checklist complete and that as a percentage (PERSEN_LENGKAP).
+ *       Completeness is measured against the currently configured checklist items.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: year
+ *         description: Year for the report (YYYY)
  *         schema:
- *           type: string
+ *           type: integer
+ *           default: 2026
+ *       - $ref: '#/components/parameters/ExportFormat'
  *     responses:
  *       200:
- *         description: Parameter deleted successfully.
- *       404:
- *         description: Parameter not found.
+ *         description: One row per month and a TOTAL row.
  */
-// Delete Parameter API
-app.delete('/api/parameters/:id', authenticateToken, async (req, res) => {
-    try {
-        const { error, count } = await supabase
-            .from('mst_parameter')
-            .delete({ count: 'exact' })
-            .eq('id', req.params.id);
+// Checklist Compliance Report API
+app.get('/api/report/checklist-compliance', authenticateToken, authorize('reports:read'), checkExportFormat, async (req, res) => {
+    const { year, format } = req.query;
+    const reportYear = parseInt(year) || new Date().getFullYear();
 
-        if (error) throw error;
-        if (count === 0) return res.status(404).json({ error: 'Parameter not found' });
+    try {
+        const report = await buildChecklistComplianceReport(reportYear);
+
+        if (EXPORT_FORMATS.includes(format)) {
+            return await sendReportExport(req, res, {
+                title: 'Kepatuhan Surgical Safety Checklist',
+                period: `Tahun ${reportYear}`,
+                filename: `kepatuhan-checklist-${reportYear}`,
+                rows: report
+            });
+        }
 
-        res.json({ message: 'Parameter deleted successfully' });
+        res.json(report);
     } catch (err) {
-        console.error('Delete parameter error:', err);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Checklist compliance report error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            error: 'Internal server error while generating report',
+            details: err.message
+        });
     }
 });
 
 /**
  * @openapi
- * /api/registrations:
+ * /api/audit:
  *   get:
- *     summary: Get surgery registrations with filtering and pagination
+ *     summary: Get audit trail entries with filtering and pagination
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: entity
+ *         description: Table name (users, mst_parameter, pendaftaran_operasi)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor_id
+ *         description: ID of the user who made the change
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: api_key_id
+ *         description: ID of the API key that made the change
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge, migrate, import]
+ *       - in: query
  *         name: startDate
- *         description: Start date filter for planned surgery (YYYY-MM-DD)
+ *         description: Start date (YYYY-MM-DD, WIB)
  *         schema:
  *           type: string
  *           format: date
  *       - in: query
  *         name: endDate
- *         description: End date filter for planned surgery (YYYY-MM-DD)
+ *         description: End date (YYYY-MM-DD, WIB)
  *         schema:
  *           type: string
  *           format: date
  *       - in: query
  *         name: page
- *         description: Page number
  *         schema:
  *           type: integer
  *           default: 1
  *       - in: query
  *         name: pageSize
- *         description: Number of items per page
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
  *     responses:
  *       200:
- *         description: List of surgery registrations with pagination metadata.
+ *         description: Paginated audit entries, newest first, with before/after data and field changes.
  */
-// Get All Registrations API (with search and paging)
-app.get('/api/registrations', authenticateToken, async (req, res) => {
+// Get Audit Trail API
+app.get('/api/audit', authenticateToken, authorize('audit:read'), async (req, res) => {
     try {
-        const { startDate, endDate, page = 1, pageSize = 10 } = req.query;
+        const { entity, entity_id, actor_id, api_key_id, action, startDate, endDate, page = 1, pageSize = 20 } = req.query;
         const pageNum = parseInt(page);
         const sizeNum = parseInt(pageSize);
         const from = (pageNum - 1) * sizeNum;
         const to = from + sizeNum - 1;
 
         let query = supabase
-            .from('pendaftaran_operasi')
-            .select('*, user_created:created_by(full_name)', { count: 'exact' });
-
-        // Add date filters if provided (filtering on planned surgery date)
-        if (startDate) {
-            query = query.gte('tanggal_rencana_operasi', startDate);
-        }
-        if (endDate) {
-            query = query.lte('tanggal_rencana_operasi', endDate);
-        }
-
-
-        const { data: registrations, error, count } = await query
+            .from('audit_log')
+            .select('*, actor:actor_id(full_name, email), api_key:api_key_id(name)', { count: 'exact' });
+
+        if (entity) query = query.eq('entity', entity);
+        if (entity_id) query = query.eq('entity_id', entity_id);
+        if (actor_id) query = query.eq('actor_id', actor_id);
+        if (api_key_id) query = query.eq('api_key_id', api_key_id);
+        if (action) query = query.eq('action', action);
+        if (startDate) query = query.gte('created_at', `${startDate}T00:00:00.000+07:00`);
+        if (endDate) query = query.lte('created_at', `${endDate}T23:59:59.999+07:00`);
+
+        const { data: entries, error, count } = await query
             .order('created_at', { ascending: false })
             .range(from, to);
 
         if (error) throw error;
 
-        // Flatten user_created nested object to string
-        const flattenedRegistrations = registrations?.map(reg => ({
-            ...reg,
-            user_created: reg.user_created?.full_name || null
-        }));
+        // Entries written before secret parameter values were redacted may still hold them
+        const redactStored = entry => {
+            const fields = auditRedactedFields(entry.before_data, entry.after_data);
+            if (fields === AUDIT_REDACTED_FIELDS) return entry;
+            const changes = { ...entry.changes };
+            if (changes.param_value) changes.param_value = { from: '[REDACTED]', to: '[REDACTED]' };
+            return {
+                ...entry,
+                before_data: redactAuditRecord(entry.before_data, fields),
+                after_data: redactAuditRecord(entry.after_data, fields),
+                changes
+            };
+        };
 
         res.json({
-            data: flattenedRegistrations,
+            data: entries.map(redactStored),
             pagination: {
                 total: count,
                 page: pageNum,
@@ -808,834 +8344,1084 @@ app.get('/api/registrations', authenticateToken, async (req, res) => {
             }
         });
     } catch (err) {
-        console.error('Fetch registrations error:', err);
+        console.error('Fetch audit log error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/registrations/{id}:
+ * /api/trash/{entity}:
  *   get:
- *     summary: Get a surgery registration by ID
+ *     summary: List soft-deleted registrations or parameters
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Surgery registration details.
- *       404:
- *         description: Registration not found.
- */
-// Get Registration By ID API
-app.get('/api/registrations/:id', authenticateToken, async (req, res) => {
-    try {
-        const { data: registration, error } = await supabase
-            .from('pendaftaran_operasi')
-            .select('*')
-            .eq('id', req.params.id)
-            .single();
-
-        if (error) throw error;
-        if (!registration) return res.status(404).json({ error: 'Registration not found' });
-        res.json(registration);
-    } catch (err) {
-        console.error('Fetch registration error:', err);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-/**
- * @openapi
- * /api/registrations:
- *   post:
- *     summary: Add a new surgery registration
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - waktu_pendaftaran
- *               - nama_pasien
- *               - no_rekam_medis
- *             properties:
- *               waktu_pendaftaran:
- *                 type: string
- *                 format: date-time
- *               pendaftaran_dari:
- *                 type: string
- *               ruangan_rawat_inap:
- *                 type: string
- *               jenis_operasi:
- *                 type: string
- *               tanggal_rencana_operasi:
- *                 type: string
- *                 format: date
- *               jam_rencana_operasi:
- *                 type: string
- *                 format: time
- *                 example: "08:00"
- *               nama_pasien:
- *                 type: string
- *               no_rekam_medis:
- *                 type: string
- *               umur_tahun:
- *                 type: string
- *               jenis_umur:
- *                 type: string
- *                 enum: [hari, bulan, tahun]
- *                 description: Satuan umur pasien (hari, bulan, atau tahun)
- *               jenis_kelamin:
- *                 type: string
- *               nomor_telp_1:
- *                 type: string
- *               nomor_telp_2:
- *                 type: string
- *               diagnosis:
- *                 type: string
- *               rencana_tindakan:
- *                 type: string
- *               dokter_operator:
- *                 type: string
- *               dokter_anestesi:
- *                 type: string
- *               penjamin:
- *                 type: string
- *               kelas:
- *                 type: string
- *               klasifikasi_operasi:
- *                 type: string
- *               catatan:
- *                 type: string
- *               ruang_operasi:
- *                 type: string
- *               tindakan_operasi:
- *                 type: string
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [registrations, parameters]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
  *     responses:
- *       201:
- *         description: Surgery registration created successfully.
+ *       200:
+ *         description: Deleted rows, most recently deleted first.
+ *       404:
+ *         description: Unknown entity.
  */
-// Add Registration API
-app.post('/api/registrations', authenticateToken, async (req, res) => {
-    const body = req.body;
-
-    if (!body.waktu_pendaftaran || !body.nama_pasien || !body.no_rekam_medis) {
-        return res.status(400).json({ error: 'waktu_pendaftaran, nama_pasien, and no_rekam_medis are required' });
-    }
+// Get Trash API
+app.get('/api/trash/:entity', authenticateToken, authorizeTrashEntity, async (req, res) => {
+    const config = TRASH_ENTITIES[req.params.entity];
 
     try {
-        const { data, error } = await supabase
-            .from('pendaftaran_operasi')
-            .insert([
-                {
-                    ...body,
-                    created_by: req.user.id,
-                    created_on: new Date().toISOString()
-                }
-            ])
-            .select()
-            .single();
+        const { page = 1, pageSize = 10 } = req.query;
+        const pageNum = parseInt(page);
+        const sizeNum = parseInt(pageSize);
+        const from = (pageNum - 1) * sizeNum;
+        const to = from + sizeNum - 1;
+
+        const { data: rows, error, count } = await supabase
+            .from(config.table)
+            .select('*, user_deleted:deleted_by(full_name)', { count: 'exact' })
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false })
+            .range(from, to);
 
         if (error) throw error;
-        res.status(201).json({ message: 'Registration created successfully', data });
+
+        res.json({
+            data: rows.map(row => ({
+                ...row,
+                user_deleted: row.user_deleted?.full_name || null
+            })),
+            pagination: {
+                total: count,
+                page: pageNum,
+                pageSize: sizeNum,
+                totalPages: Math.ceil(count / sizeNum)
+            }
+        });
     } catch (err) {
-        console.error('Create registration error:', err);
+        console.error('Fetch trash error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/registrations/{id}:
- *   put:
- *     summary: Update a surgery registration
+ * /api/trash/{entity}/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted registration or parameter
+ *     description: A restored registration goes through the schedule conflict check again.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [registrations, parameters]
+ *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               waktu_pendaftaran:
- *                 type: string
- *                 format: date-time
- *               pendaftaran_dari:
- *                 type: string
- *               ruangan_rawat_inap:
- *                 type: string
- *               jenis_operasi:
- *                 type: string
- *               tanggal_rencana_operasi:
- *                 type: string
- *                 format: date
- *               jam_rencana_operasi:
- *                 type: string
- *                 format: time
- *                 example: "08:00"
- *               nama_pasien:
- *                 type: string
- *               no_rekam_medis:
- *                 type: string
- *               umur_tahun:
- *                 type: string
- *               umur_bulan:
- *                 type: integer
- *                 description: Umur dalam bulan
- *               jenis_umur:
- *                 type: string
- *                 enum: [hari, bulan, tahun]
- *                 description: Satuan umur pasien (hari, bulan, atau tahun)
- *               jenis_kelamin:
- *                 type: string
- *               nomor_telp_1:
- *                 type: string
- *               nomor_telp_2:
- *                 type: string
- *               diagnosis:
- *                 type: string
- *               rencana_tindakan:
- *                 type: string
- *               dokter_operator:
- *                 type: string
- *               dokter_anestesi:
- *                 type: string
- *               penjamin:
- *                 type: string
- *               kelas:
- *                 type: string
- *               klasifikasi_operasi:
- *                 type: string
- *               catatan:
- *                 type: string
- *               ruang_operasi:
- *                 type: string
- *               tindakan_operasi:
- *                 type: string
  *     responses:
  *       200:
- *         description: Surgery registration updated successfully.
+ *         description: Restored.
  *       404:
- *         description: Registration not found.
+ *         description: Not found in the trash.
+ *       409:
+ *         description: The restored registration would clash with another booking, or an active parameter now uses the same code.
  */
-// Update Registration API
-app.put('/api/registrations/:id', authenticateToken, async (req, res) => {
-    const { id } = req.params;
-    const body = req.body;
+// Restore From Trash API
+app.post('/api/trash/:entity/:id/restore', authenticateToken, authorizeTrashEntity, async (req, res) => {
+    const config = TRASH_ENTITIES[req.params.entity];
 
-    const updateData = {
-        ...body,
-        updated_on: new Date().toISOString(),
-        updated_by: req.user.id
-    };
+    const { id } = req.params;
 
     try {
+        const { data: before, error: bError } = await supabase
+            .from(config.table)
+            .select('*')
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: `${config.label} not found in trash` });
+
+        let conflicts = [];
+        if (config.table === 'pendaftaran_operasi' && before.status !== 'cancelled') {
+            conflicts = await findScheduleConflicts(before, { excludeId: id });
+            if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+                return res.status(409).json({ error: 'Schedule conflict', conflicts });
+            }
+        }
+
+        const isRegistration = config.table === 'pendaftaran_operasi';
         const { data, error } = await supabase
-            .from('pendaftaran_operasi')
-            .update(updateData)
+            .from(config.table)
+            .update({ deleted_at: null, deleted_by: null, version: nextVersion(before) })
             .eq('id', id)
             .select()
             .single();
 
-        if (error) throw error;
-        if (!data) return res.status(404).json({ error: 'Registration not found' });
+        if (error) {
+            // Trashed rows keep their unique keys (e.g. param_code), which a newer row may have taken meanwhile
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `${config.label} cannot be restored: an active row with the same code already exists` });
+            }
+            throw error;
+        }
+
+        if (isRegistration) await recordRegistrationVersions(req, { before, after: data, action: 'restore' });
+
+        await recordAudit(req, { entity: config.table, entityId: id, action: 'restore', before, after: data });
 
-        res.json({ message: 'Registration updated successfully', data });
+        res.json({
+            message: `${config.label} restored successfully`,
+            data,
+            ...(conflicts.length > 0 && { warnings: conflicts })
+        });
     } catch (err) {
-        console.error('Update registration error:', err);
+        console.error('Restore from trash error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/registrations/{id}:
+ * /api/trash/{entity}/purge:
  *   delete:
- *     summary: Delete a surgery registration
+ *     summary: Permanently delete trash items older than the retention window
+ *     description: |
+ *       The retention window is the TRASH_RETENTION_DAYS parameter (default 30 days); older_than_days can only extend it.
+ *       Purging a registration also deletes its versions, status history, reschedules and checklist answers.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: entity
  *         required: true
  *         schema:
  *           type: string
+ *           enum: [registrations, parameters]
+ *       - in: query
+ *         name: older_than_days
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Surgery registration deleted successfully.
+ *         description: Number of rows permanently deleted.
  *       404:
- *         description: Registration not found.
+ *         description: Unknown entity.
  */
-// Delete Registration API
-app.delete('/api/registrations/:id', authenticateToken, async (req, res) => {
+// Purge Trash API
+app.delete('/api/trash/:entity/purge', authenticateToken, authorize('trash:purge'), async (req, res) => {
+    const config = TRASH_ENTITIES[req.params.entity];
+    if (!config) return res.status(404).json({ error: 'Unknown trash entity' });
+
     try {
-        const { error, count } = await supabase
-            .from('pendaftaran_operasi')
-            .delete({ count: 'exact' })
-            .eq('id', req.params.id);
+        const retentionDays = parseInt(await getParameterValue('TRASH_RETENTION_DAYS')) || DEFAULT_TRASH_RETENTION_DAYS;
+        const olderThanDays = Math.max(parseInt(req.query.older_than_days) || retentionDays, retentionDays);
+        const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const expired = await fetchAllRows(() => supabase
+            .from(config.table)
+            .select('id')
+            .not('deleted_at', 'is', null)
+            .lt('deleted_at', cutoff)
+            .order('id', { ascending: true }));
+
+        const purged = [];
+        for (let i = 0; i < expired.length; i += PURGE_BATCH_SIZE) {
+            const ids = expired.slice(i, i + PURGE_BATCH_SIZE).map(row => row.id);
+
+            for (const child of config.children) {
+                const { error: cError } = await supabase.from(child).delete().in('registration_id', ids);
+                if (cError) throw cError;
+            }
 
-        if (error) throw error;
-        if (count === 0) return res.status(404).json({ error: 'Registration not found' });
+            const { data, error } = await supabase
+                .from(config.table)
+                .delete()
+                .in('id', ids)
+                .not('deleted_at', 'is', null)
+                .select();
 
-        res.json({ message: 'Registration deleted successfully' });
+            if (error) throw error;
+            purged.push(...data);
+        }
+
+        for (const row of purged) {
+            await recordAudit(req, { entity: config.table, entityId: row.id, action: 'purge', before: row });
+        }
+
+        res.json({
+            message: `${purged.length} ${config.label.toLowerCase()}(s) permanently deleted`,
+            purged: purged.length,
+            older_than_days: olderThanDays
+        });
     } catch (err) {
-        console.error('Delete registration error:', err);
+        console.error('Purge trash error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
+
 /**
  * @openapi
- * /api/report/yearly-summary-penjamin:
+ * /api/doctors/{name}/schedule:
  *   get:
- *     summary: Get yearly monthly summary report for penjamin
+ *     summary: Get a doctor's surgery schedule for one day
+ *     description: Includes cases where the doctor is dokter_operator or dokter_anestesi, ordered by planned time, with free gaps and overlapping commitments. Cases from the previous day that run past midnight are included with carried_over true.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: year
- *         description: Year for the report (YYYY)
+ *       - in: path
+ *         name: name
  *         required: true
+ *         description: Doctor name as used in registrations (case-insensitive)
  *         schema:
- *           type: integer
- *           default: 2026
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Date (YYYY-MM-DD). Defaults to today (WIB).
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Monthly summary pivoted by penjamin.
+ *         description: The doctor's cases, gaps and overlaps for the day.
  */
-// Yearly Monthly Summary Report API
-app.get('/api/report/yearly-summary-penjamin', authenticateToken, async (req, res) => {
-    const { year } = req.query;
-    const reportYear = parseInt(year) || new Date().getFullYear();
-
-    const INDONESIAN_MONTHS = [
-        "JANUARI", "PEBRUARI", "MARET", "APRIL", "MEI", "JUNI",
-        "JULI", "AGUSTUS", "SEPTEMBER", "OKTOBER", "NOPEMBER", "DESEMBER"
-    ];
-
+// Doctor Daily Schedule API
+app.get('/api/doctors/:name/schedule', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    const doctor = normalizeDoctorName(req.params.name);
+    const date = req.query.date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+
+    const dateError = validateFieldValue(date, { type: 'date' }).error;
+    if (dateError) {
+        return res.status(400).json({ error: `date ${dateError}` });
+    }
 
     try {
-        // 1. Get all penjamin names from mst_parameter
-        const { data: listPenjaminData, error: pError } = await supabase
-            .from('mst_parameter')
-            .select('param_name')
-            .eq('param_type', 'PENJAMIN')
-            .eq('is_active', true)
-            .order('sort_order', { ascending: true });
-
-        if (pError) throw pError;
-        const listPenjamin = listPenjaminData.map(row => row.param_name);
+        const previousDate = shiftDate(date, -1);
+        const { data: bookings, error } = await supabase
+            .from('pendaftaran_operasi')
+            .select(SCHEDULE_COLUMNS)
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
+            .in('tanggal_rencana_operasi', [previousDate, date]);
 
-        if (listPenjamin.length === 0) {
-            return res.json([]);
-        }
+        if (error) throw error;
 
-        // 2. Fetch registrations for the requested year
-        const startOfYear = `${reportYear}-01-01`;
-        const endOfYear = `${reportYear}-12-31`;
+        const withRole = b => ({
+            ...b,
+            peran: normalizeDoctorName(b.dokter_operator) === doctor ? 'operator' : 'anestesi'
+        });
+        const ownCases = bookings
+            .filter(b => normalizeDoctorName(b.dokter_operator) === doctor || normalizeDoctorName(b.dokter_anestesi) === doctor)
+            .map(withRole);
+        const doctorCases = ownCases.filter(b => b.tanggal_rencana_operasi === date);
+
+        const timeline = buildTimeline(
+            doctorCases,
+            await loadDurationDefaults(),
+            ownCases.filter(b => b.tanggal_rencana_operasi === previousDate)
+        );
 
-        const { data: dbData, error: rError } = await supabase
-            .from('pendaftaran_operasi')
-            .select('tanggal_rencana_operasi, penjamin')
-            .gte('tanggal_rencana_operasi', startOfYear)
-            .lte('tanggal_rencana_operasi', endOfYear);
+        res.json({
+            dokter: req.params.name,
+            date,
+            total_cases: doctorCases.length,
+            ...timeline
+        });
+    } catch (err) {
+        console.error('Doctor schedule error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (rError) throw rError;
+// Columns shown on the operating-room board
+const OR_BOARD_COLUMNS = `${SCHEDULE_COLUMNS}, status, jenis_operasi, klasifikasi_operasi, diagnosis, ruangan_rawat_inap, umur_tahun, umur_bulan, jenis_umur, penjamin`;
 
-        // 3. Process and Pivot logic in JS
-        const report = INDONESIAN_MONTHS.map((monthName, index) => {
-            const monthNum = index + 1; // 1-indexed
-            const row = { "BULAN": monthName };
+/**
+ * Build the day's plan for the OR control desk: bookings grouped by ruang_operasi, each room laid
+ * out with buildTimeline (order, gaps, overlaps, booked minutes). Rooms configured as active
+ * RUANG_OPERASI parameters are listed even when they have no bookings; bookings without a room
+ * are returned in unassigned. Previous-day cases still running after midnight are shown and counted in
+ * their room; ends_next_day marks a room whose last_end is after midnight.
+ * @param {string} date - YYYY-MM-DD.
+ * @returns {Promise<{date: string, rooms: Array<object>, unassigned: Array<object>, summary: object}>}
+ */
+async function buildOrBoard(date) {
+    const previousDate = shiftDate(date, -1);
+    const { data: rows, error } = await supabase
+        .from('pendaftaran_operasi')
+        .select(OR_BOARD_COLUMNS)
+        .is('deleted_at', null)
+        .or(ACTIVE_BOOKING_FILTER)
+        .in('tanggal_rencana_operasi', [previousDate, date])
+        .order('jam_rencana_operasi', { ascending: true, nullsFirst: false });
+
+    if (error) throw error;
+
+    const bookings = rows.filter(b => b.tanggal_rencana_operasi === date);
+
+    const { data: roomParams, error: pError } = await supabase
+        .from('mst_parameter')
+        .select('param_name')
+        .is('deleted_at', null)
+        .eq('param_type', 'RUANG_OPERASI')
+        .eq('is_active', true)
+        .order('sort_order', { ascending: true });
+
+    if (pError) throw pError;
+
+    const defaults = await loadDurationDefaults();
+    const cases = bookings.map(b => ({ ...b, status: b.status || 'registered' }));
+    // Previous-day cases still running after midnight
+    const carriedOver = rows
+        .filter(b => b.tanggal_rencana_operasi === previousDate && b.jam_rencana_operasi
+            && timeToMinutes(b.jam_rencana_operasi) + plannedDuration(b, defaults) > MINUTES_PER_DAY)
+        .map(b => ({ ...b, status: b.status || 'registered' }));
+
+    const roomNames = roomParams.map(p => p.param_name);
+    [...carriedOver, ...cases].forEach(b => {
+        if (b.ruang_operasi && !roomNames.includes(b.ruang_operasi)) roomNames.push(b.ruang_operasi);
+    });
 
-            // Initialize all penjamin columns with 0
-            listPenjamin.forEach(p => {
-                row[p] = 0;
-            });
+    const rooms = roomNames.map(room => {
+        const roomCases = cases.filter(b => b.ruang_operasi === room);
+        const timeline = buildTimeline(roomCases, defaults, carriedOver.filter(b => b.ruang_operasi === room));
+        return {
+            ruang_operasi: room,
+            total_cases: timeline.items.length + timeline.unscheduled.length,
+            booked_minutes: timeline.total_minutes,
+            first_start: timeline.items.find(i => !i.carried_over)?.jam_mulai || null,
+            last_end: timeline.last_end_minutes !== null ? minutesToTime(timeline.last_end_minutes % MINUTES_PER_DAY) : null,
+            ...(timeline.last_end_minutes > MINUTES_PER_DAY && { ends_next_day: true }),
+            items: timeline.items,
+            unscheduled: timeline.unscheduled,
+            gaps: timeline.gaps,
+            overlaps: timeline.overlaps
+        };
+    });
 
-            // Aggregate from dbData
-            if (dbData) {
-                dbData.forEach(d => {
-                    const date = new Date(d.tanggal_rencana_operasi);
-                    const dMonth = date.getMonth() + 1; // 1-indexed
-                    if (dMonth === monthNum && row.hasOwnProperty(d.penjamin)) {
-                        row[d.penjamin]++;
-                    }
-                });
-            }
+    const unassigned = buildTimeline(cases.filter(b => !b.ruang_operasi), defaults, carriedOver.filter(b => !b.ruang_operasi));
+
+    return {
+        date,
+        rooms,
+        unassigned: [...unassigned.items, ...unassigned.unscheduled],
+        summary: {
+            total_cases: cases.length + carriedOver.length,
+            rooms_in_use: rooms.filter(r => r.total_cases > 0).length,
+            booked_minutes: rooms.reduce((sum, r) => sum + r.booked_minutes, 0),
+            overlaps: rooms.reduce((sum, r) => sum + r.overlaps.length, 0),
+            unassigned: unassigned.items.length + unassigned.unscheduled.length
+        }
+    };
+}
 
-            return row;
+/**
+ * Plain-text version of the board using WhatsApp formatting (*bold*, _italic_).
+ * @param {object} board - Result of buildOrBoard.
+ * @returns {string}
+ */
+function formatOrBoardText(board) {
+    const caseLine = c => `${c.jam_mulai ? `${c.jam_mulai}-${c.jam_selesai}` : (c.jam_rencana_operasi ? c.jam_rencana_operasi.substring(0, 5) : '--:--')} ${c.nama_pasien} (${c.no_rekam_medis || '-'})`
+        + `\n   ${c.tindakan_operasi || '-'} | ${c.dokter_operator || '-'} / ${c.dokter_anestesi || '-'}`;
+
+    const sections = board.rooms
+        .filter(room => room.total_cases > 0)
+        .map(room => {
+            const lines = [...room.items, ...room.unscheduled].map(caseLine).join('\n');
+            const overlapNote = room.overlaps.length ? `\n_${room.overlaps.length} jadwal bertumpuk_` : '';
+            return `*${room.ruang_operasi}* (${room.total_cases} operasi, ${room.booked_minutes} menit)\n${lines}${overlapNote}`;
         });
 
-        // 4. Add TOTAL row
-        const totalRow = { "BULAN": "TOTAL" };
-        listPenjamin.forEach(p => {
-            totalRow[p] = report.reduce((sum, monthRow) => sum + (monthRow[p] || 0), 0);
-        });
-        report.push(totalRow);
+    if (board.unassigned.length) {
+        sections.push(`*Belum ada ruang OK*\n${board.unassigned.map(caseLine).join('\n')}`);
+    }
 
-        res.json(report);
-    } catch (err) {
-        console.error('Yearly summary report error:', err);
-        res.status(500).json({
-            error: 'Internal server error while generating report',
-            details: err.message
-        });
+    return `Jadwal kamar operasi ${formatTanggalIndonesia(board.date)}\n\n`
+        + (sections.length ? sections.join('\n\n') : 'Tidak ada operasi terjadwal.')
+        + `\n\nTotal: ${board.summary.total_cases} operasi.`;
+}
+
+/**
+ * Escape text for HTML output.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Printable HTML page of the board (A4 landscape, one table per room).
+ * @param {object} board - Result of buildOrBoard.
+ * @param {object} user - req.user, named in the footer.
+ * @returns {string}
+ */
+function renderOrBoardHtml(board, user) {
+    const row = c => `<tr class="${escapeHtml(c.status)}">
+            <td>${escapeHtml(c.jam_mulai ? `${c.jam_mulai}–${c.jam_selesai}` : '—')}</td>
+            <td>${escapeHtml(c.nama_pasien)}<br><small>${escapeHtml(c.no_rekam_medis)} · ${escapeHtml(c.ruangan_rawat_inap || '')}</small></td>
+            <td>${escapeHtml(c.tindakan_operasi)}<br><small>${escapeHtml(c.diagnosis)}</small></td>
+            <td>${escapeHtml(c.dokter_operator)}</td>
+            <td>${escapeHtml(c.dokter_anestesi)}</td>
+            <td>${escapeHtml(c.jenis_operasi)}</td>
+            <td>${escapeHtml(REGISTRATION_STATUS_LABELS[c.status] || c.status)}</td>
+        </tr>`;
+    const table = cases => `<table>
+        <thead><tr><th>Jam</th><th>Pasien</th><th>Tindakan / Diagnosis</th><th>Operator</th><th>Anestesi</th><th>Jenis</th><th>Status</th></tr></thead>
+        <tbody>${cases.map(row).join('')}</tbody>
+    </table>`;
+
+    const sections = board.rooms.map(room => `<section>
+    <h2>${escapeHtml(room.ruang_operasi)} <small>${room.total_cases} operasi · ${room.booked_minutes} menit${room.overlaps.length ? ` · <span class="warn">${room.overlaps.length} bertumpuk</span>` : ''}</small></h2>
+    ${room.total_cases ? table([...room.items, ...room.unscheduled]) : '<p class="empty">Tidak ada jadwal.</p>'}
+</section>`);
+
+    if (board.unassigned.length) {
+        sections.push(`<section>
+    <h2>Belum ada ruang OK <small>${board.unassigned.length} operasi</small></h2>
+    ${table(board.unassigned)}
+</section>`);
     }
-});
+
+    const generatedAt = new Date().toLocaleString('id-ID', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Jakarta' });
+
+    return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>Papan Kamar Operasi ${escapeHtml(board.date)}</title>
+<style>
+    @page { size: A4 landscape; margin: 10mm; }
+    body { font-family: Arial, sans-serif; font-size: 11px; color: #000; }
+    h1 { font-size: 18px; margin: 0 0 8px; }
+    h2 { font-size: 14px; margin: 14px 0 4px; }
+    h2 small { font-weight: normal; color: #444; }
+    section { page-break-inside: avoid; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 3px 5px; text-align: left; vertical-align: top; }
+    th { background: #1f4e78; color: #fff; }
+    tr.in_progress td { background: #fff2cc; }
+    tr.done td { color: #777; }
+    .warn { color: #c00; font-weight: bold; }
+    .empty { color: #777; font-style: italic; }
+    footer { margin-top: 12px; font-size: 9px; color: #555; }
+</style>
+</head>
+<body>
+<h1>Papan Kamar Operasi — ${escapeHtml(formatTanggalIndonesia(board.date))}</h1>
+<p>${board.summary.total_cases} operasi · ${board.summary.rooms_in_use} ruang terpakai · ${board.summary.booked_minutes} menit terjadwal</p>
+${sections.join('\n')}
+<footer>Dibuat oleh ${escapeHtml(user.full_name || user.api_key_name || 'sistem')} pada ${escapeHtml(generatedAt)} WIB</footer>
+</body>
+</html>`;
+}
 
 /**
  * @openapi
- * /api/report/yearly-summary-poli:
+ * /api/or-board:
  *   get:
- *     summary: Get yearly monthly summary report for a specific poli
+ *     summary: Get the day's operating-room board
+ *     description: |
+ *       Surgeries for one date grouped by ruang_operasi and ordered by planned time, with gaps,
+ *       overlaps and booked minutes per room. Cases without ruang_operasi are listed in unassigned.
+ *       Cancelled and postponed registrations are left out. format=html returns a printable page, format=text
+ *       the WhatsApp-formatted summary.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: year
- *         description: Year for the report (YYYY)
- *         required: false
+ *         name: date
+ *         description: Date (YYYY-MM-DD). Defaults to today (WIB).
  *         schema:
- *           type: integer
- *           default: 2026
- *       - in: query
- *         name: poli
- *         description: Poli name (pendaftaran_dari)
- *         required: true
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
+ *           enum: [json, html, text]
+ *           default: json
  *     responses:
  *       200:
- *         description: Monthly summary with ELEKTIF and CITO counts.
+ *         description: Rooms with their timelines, unassigned cases and day totals.
+ *       400:
+ *         description: Invalid date or format.
  */
-// Yearly Poli Summary Report API
-app.get('/api/report/yearly-summary-poli', authenticateToken, async (req, res) => {
-    const { year, poli, mock } = req.query;
-    const reportYear = parseInt(year) || new Date().getFullYear();
-
-    if (!poli && mock !== 'true') {
-        return res.status(400).json({ error: 'Parameter "poli" is required' });
+// Operating Room Board API
+app.get('/api/or-board', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    const date = req.query.date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const format = req.query.format || 'json';
+
+    const dateError = validateFieldValue(date, { type: 'date' }).error;
+    if (dateError) {
+        return res.status(400).json({ error: `date ${dateError}` });
+    }
+    if (!['json', 'html', 'text'].includes(format)) {
+        return res.status(400).json({ error: 'format must be one of: json, html, text' });
     }
 
-    const INDONESIAN_MONTHS = [
-        "JANUARI", "PEBRUARI", "MARET", "APRIL", "MEI", "JUNI",
-        "JULI", "AGUSTUS", "SEPTEMBER", "OKTOBER", "NOPEMBER", "DESEMBER"
-    ];
+    try {
+        const board = await buildOrBoard(date);
 
-    // Mock response for testing
-    if (mock === 'true') {
-        const mockReport = INDONESIAN_MONTHS.map(month => ({
-            "BULAN": month,
-            "ELEKTIF": Math.floor(Math.random() * 50),
-            "CITO": Math.floor(Math.random() * 20),
-            "JUMLAH": 0
-        }));
-        mockReport.forEach(row => row.JUMLAH = row.ELEKTIF + row.CITO);
+        if (format === 'html') return res.type('html').send(renderOrBoardHtml(board, req.user));
+        if (format === 'text') return res.type('text').send(formatOrBoardText(board));
 
-        const totalRow = {
-            "BULAN": "TOTAL",
-            "ELEKTIF": mockReport.reduce((s, r) => s + r.ELEKTIF, 0),
-            "CITO": mockReport.reduce((s, r) => s + r.CITO, 0),
-            "JUMLAH": 0
-        };
-        totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
-        mockReport.push(totalRow);
-        return res.json(mockReport);
+        res.json(board);
+    } catch (err) {
+        console.error('OR board error:', err);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    try {
-        const startOfYear = `${reportYear}-01-01`;
-        const endOfYear = `${reportYear}-12-31`;
+// Elective waiting list: open registrations without a planned date, ranked by a priority score.
+// score = days waiting × WAITING_POINTS_PER_DAY + classification points + penjamin points.
+// Classification and penjamin points can be set as mst_parameter rows (param_type PRIORITAS_KLASIFIKASI /
+// PRIORITAS_PENJAMIN, param_name = value, param_value = points); classification falls back to the defaults below.
+const WAITING_POINTS_PER_DAY = 1;
+const DEFAULT_CLASSIFICATION_POINTS = { KHUSUS: 40, BESAR: 30, SEDANG: 20, KECIL: 10 };
 
-        const { data: dbData, error } = await supabase
-            .from('pendaftaran_operasi')
-            .select('tanggal_rencana_operasi, jenis_operasi')
-            .eq('pendaftaran_dari', poli)
-            .gte('tanggal_rencana_operasi', startOfYear)
-            .lte('tanggal_rencana_operasi', endOfYear);
+// Room opening hours come from JAM_OPERASIONAL_OK parameters (param_name = room or DEFAULT,
+// param_value = "HH:MM-HH:MM"). Elective lists do not run on Sundays.
+const DEFAULT_OR_OPENING_HOURS = '07:00-14:00';
+const OR_CLOSED_WEEKDAYS = [0];
+const SLOT_STEP_MINUTES = 15;
+const SUGGEST_MAX_DAYS = 60;
 
-        if (error) throw error;
+/**
+ * Load priority points per klasifikasi_operasi and per penjamin.
+ * @returns {Promise<{klasifikasi: Object<string, number>, penjamin: Object<string, number>}>}
+ */
+async function loadPriorityRules() {
+    const { data: params, error } = await supabase
+        .from('mst_parameter')
+        .select('param_type, param_name, param_value')
+        .is('deleted_at', null)
+        .in('param_type', ['PRIORITAS_KLASIFIKASI', 'PRIORITAS_PENJAMIN'])
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const rules = { klasifikasi: { ...DEFAULT_CLASSIFICATION_POINTS }, penjamin: {} };
+    params.forEach(p => {
+        const points = Number(p.param_value);
+        if (Number.isNaN(points)) return;
+        if (p.param_type === 'PRIORITAS_KLASIFIKASI') rules.klasifikasi[p.param_name.toUpperCase()] = points;
+        else rules.penjamin[p.param_name] = points;
+    });
+    return rules;
+}
 
-        const report = INDONESIAN_MONTHS.map((monthName, index) => {
-            const monthNum = index + 1;
-            const row = {
-                "BULAN": monthName,
-                "ELEKTIF": 0,
-                "CITO": 0,
-                "KHUSUS": 0,
-                "BESAR": 0,
-                "SEDANG": 0,
-                "KECIL": 0,
-                "JUMLAH": 0
-            };
+/**
+ * Priority score of a waiting registration, with its parts so the ranking can be explained.
+ * @param {object} reg - Registration row.
+ * @param {object} rules - From loadPriorityRules().
+ * @param {Date} [now]
+ * @returns {{score: number, days_waiting: number, waiting_points: number, klasifikasi_points: number, penjamin_points: number}}
+ */
+function waitingPriority(reg, rules, now = new Date()) {
+    const since = new Date(reg.waktu_pendaftaran || reg.created_on || now);
+    const daysWaiting = Math.max(0, Math.floor((now - since) / (24 * 60 * 60 * 1000)));
+    const waitingPoints = daysWaiting * WAITING_POINTS_PER_DAY;
+    const klasifikasiPoints = rules.klasifikasi[(reg.klasifikasi_operasi || '').toUpperCase()] || 0;
+    const penjaminPoints = rules.penjamin[reg.penjamin] || 0;
+
+    return {
+        score: waitingPoints + klasifikasiPoints + penjaminPoints,
+        days_waiting: daysWaiting,
+        waiting_points: waitingPoints,
+        klasifikasi_points: klasifikasiPoints,
+        penjamin_points: penjaminPoints
+    };
+}
 
-            if (dbData) {
-                dbData.forEach(d => {
-                    const date = new Date(d.tanggal_rencana_operasi);
-                    const dMonth = date.getMonth() + 1;
-                    if (dMonth === monthNum) {
-                        // Count Jenis Operasi
-                        if (d.jenis_operasi === 'ELEKTIF') row.ELEKTIF++;
-                        else if (d.jenis_operasi === 'CITO') row.CITO++;
-
-                        // Count Klasifikasi Operasi
-                        const klasifikasi = d.klasifikasi_operasi ? d.klasifikasi_operasi.toUpperCase() : null;
-                        if (klasifikasi) {
-                            if (row[klasifikasi] !== undefined) {
-                                row[klasifikasi]++;
-                            } else {
-                                row[klasifikasi] = 1;
-                            }
-                        }
-                    }
-                });
+/**
+ * Opening hours per operating room in minutes since midnight.
+ * @returns {Promise<function(string): {open: number, close: number}>} - Lookup by room name.
+ */
+async function loadRoomOpeningHours() {
+    const { data: params, error } = await supabase
+        .from('mst_parameter')
+        .select('param_name, param_value')
+        .is('deleted_at', null)
+        .eq('param_type', 'JAM_OPERASIONAL_OK')
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const parse = value => {
+        const match = String(value || '').match(/^\s*(\d{1,2}[:.]\d{2})\s*-\s*(\d{1,2}[:.]\d{2})\s*$/);
+        if (!match) return null;
+        const [open, close] = [match[1], match[2]].map(t => timeToMinutes(t.replace('.', ':')));
+        return open < close ? { open, close } : null;
+    };
+
+    const byRoom = {};
+    params.forEach(p => {
+        const hours = parse(p.param_value);
+        if (hours) byRoom[p.param_name] = hours;
+    });
+    const fallback = byRoom.DEFAULT || parse(DEFAULT_OR_OPENING_HOURS);
+
+    return room => byRoom[room] || fallback;
+}
+
+/**
+ * Operating rooms to plan in: active RUANG_OPERASI parameters, or the rooms used by existing bookings.
+ * @param {Array<object>} bookings
+ * @returns {Promise<string[]>}
+ */
+async function loadOperatingRooms(bookings) {
+    const { data: params, error } = await supabase
+        .from('mst_parameter')
+        .select('param_name')
+        .is('deleted_at', null)
+        .eq('param_type', 'RUANG_OPERASI')
+        .eq('is_active', true)
+        .order('sort_order', { ascending: true });
+
+    if (error) throw error;
+    if (params.length > 0) return params.map(p => p.param_name);
+
+    return [...new Set(bookings.map(b => b.ruang_operasi).filter(Boolean))].sort();
+}
+
+/**
+ * Find the earliest free slots for a registration: per room and day, the first start (on a
+ * SLOT_STEP_MINUTES grid) inside opening hours that overlaps neither the room's bookings nor
+ * any other case of the registration's surgeon or anesthesiologist.
+ * @param {object} reg - Registration to place.
+ * @param {object} options
+ * @param {string} options.from - First date (YYYY-MM-DD).
+ * @param {number} options.days - Number of days to search.
+ * @param {number} options.limit - Maximum suggestions.
+ * @param {string} [options.room] - Only this ruang_operasi.
+ * @returns {Promise<Array<{tanggal_rencana_operasi: string, jam_rencana_operasi: string, jam_selesai: string, ruang_operasi: string}>>}
+ */
+async function suggestSlots(reg, { from, days, limit, room = null }) {
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+        const d = new Date(`${from}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + i);
+        if (!OR_CLOSED_WEEKDAYS.includes(d.getUTCDay())) dates.push(d.toISOString().slice(0, 10));
+    }
+    if (dates.length === 0) return [];
+
+    const bookings = await fetchAllRows(() => supabase
+        .from('pendaftaran_operasi')
+        .select(SCHEDULE_COLUMNS)
+        .is('deleted_at', null)
+        .or(ACTIVE_BOOKING_FILTER)
+        .gte('tanggal_rencana_operasi', dates[0])
+        .lte('tanggal_rencana_operasi', dates[dates.length - 1])
+        .not('jam_rencana_operasi', 'is', null)
+        .neq('id', reg.id)
+        .order('id', { ascending: true }));
+
+    const defaults = await loadDurationDefaults();
+    const hoursFor = await loadRoomOpeningHours();
+    const rooms = room ? [room] : await loadOperatingRooms(bookings);
+    const duration = plannedDuration(reg, defaults);
+    const doctors = [reg.dokter_operator, reg.dokter_anestesi].map(normalizeDoctorName).filter(Boolean);
+
+    // Don't offer slots that have already started today
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const nowMinutes = timeToMinutes(new Date().toLocaleTimeString('en-GB', { timeZone: 'Asia/Jakarta', hourCycle: 'h23' }));
+
+    const interval = b => {
+        const start = timeToMinutes(b.jam_rencana_operasi);
+        return { start, end: start + plannedDuration(b, defaults) };
+    };
+    const roundUp = minutes => Math.ceil(minutes / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+
+    const suggestions = [];
+    for (const date of dates) {
+        const dayBookings = bookings.filter(b => b.tanggal_rencana_operasi === date);
+        const doctorBusy = dayBookings
+            .filter(b => [b.dokter_operator, b.dokter_anestesi].some(d => doctors.includes(normalizeDoctorName(d))))
+            .map(interval);
+
+        for (const roomName of rooms) {
+            const { open, close } = hoursFor(roomName);
+            const busy = [...dayBookings.filter(b => b.ruang_operasi === roomName).map(interval), ...doctorBusy]
+                .sort((a, b) => a.start - b.start);
+
+            let start = roundUp(date === today ? Math.max(open, nowMinutes) : open);
+            for (const block of busy) {
+                if (start + duration <= block.start) break;
+                if (block.end > start) start = roundUp(block.end);
             }
-            row.JUMLAH = row.ELEKTIF + row.CITO;
-            return row;
-        });
 
-        const totalRow = {
-            "BULAN": "TOTAL",
-            "ELEKTIF": report.reduce((s, r) => s + r.ELEKTIF, 0),
-            "CITO": report.reduce((s, r) => s + r.CITO, 0),
-            "JUMLAH": 0
-        };
-        totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
-        report.push(totalRow);
+            if (start + duration <= close) {
+                suggestions.push({
+                    tanggal_rencana_operasi: date,
+                    jam_rencana_operasi: minutesToTime(start),
+                    jam_selesai: minutesToTime(start + duration),
+                    ruang_operasi: roomName,
+                    durasi_rencana_menit: duration
+                });
+            }
+        }
 
-        res.json(report);
-    } catch (err) {
-        console.error('Poli summary report error:', err);
-        res.status(500).json({
-            error: 'Internal server error while generating poli report',
-            details: err.message
-        });
+        if (suggestions.length >= limit) break;
     }
-});
+
+    return suggestions
+        .sort((a, b) => a.tanggal_rencana_operasi.localeCompare(b.tanggal_rencana_operasi) || a.jam_rencana_operasi.localeCompare(b.jam_rencana_operasi))
+        .slice(0, limit);
+}
 
 /**
  * @openapi
- * /api/report/yearly-summary-doctor:
+ * /api/waiting-list:
  *   get:
- *     summary: Get yearly monthly summary report for a specific doctor
+ *     summary: Get the elective surgery waiting list
+ *     description: |
+ *       Registrations without tanggal_rencana_operasi that are not cancelled or done, highest priority first.
+ *       score = days waiting + klasifikasi points (PRIORITAS_KLASIFIKASI parameters, default KHUSUS 40,
+ *       BESAR 30, SEDANG 20, KECIL 10) + penjamin points (PRIORITAS_PENJAMIN parameters).
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: year
- *         description: Year for the report (YYYY)
- *         required: false
+ *         name: jenis_operasi
+ *         description: Defaults to ELEKTIF; use "all" to include every type
  *         schema:
- *           type: integer
- *           default: 2026
+ *           type: string
+ *           default: ELEKTIF
  *       - in: query
- *         name: dokter
- *         description: Doctor name (dokter_operator)
- *         required: true
+ *         name: dokter_operator
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
  *     responses:
  *       200:
- *         description: Monthly summary with ELEKTIF and CITO counts for the doctor.
+ *         description: Waiting registrations with their priority breakdown.
  */
-// Yearly Doctor Summary Report API
-app.get('/api/report/yearly-summary-doctor', authenticateToken, async (req, res) => {
-    const { year, dokter, mock } = req.query;
-    const reportYear = parseInt(year) || new Date().getFullYear();
-
-    if (!dokter && mock !== 'true') {
-        return res.status(400).json({ error: 'Parameter "dokter" is required' });
-    }
-
-    const INDONESIAN_MONTHS = [
-        "JANUARI", "PEBRUARI", "MARET", "APRIL", "MEI", "JUNI",
-        "JULI", "AGUSTUS", "SEPTEMBER", "OKTOBER", "NOPEMBER", "DESEMBER"
-    ];
-
-    // Mock response for testing
-    if (mock === 'true') {
-        const mockReport = INDONESIAN_MONTHS.map(month => ({
-            "BULAN": month,
-            "ELEKTIF": Math.floor(Math.random() * 50),
-            "CITO": Math.floor(Math.random() * 20),
-            "JUMLAH": 0
-        }));
-        mockReport.forEach(row => row.JUMLAH = row.ELEKTIF + row.CITO);
+// Get Waiting List API
+app.get('/api/waiting-list', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    try {
+        const { jenis_operasi = 'ELEKTIF', dokter_operator, page = 1, pageSize = 10 } = req.query;
+        const pageNum = parseInt(page);
+        const sizeNum = parseInt(pageSize);
 
-        const totalRow = {
-            "BULAN": "TOTAL",
-            "ELEKTIF": mockReport.reduce((s, r) => s + r.ELEKTIF, 0),
-            "CITO": mockReport.reduce((s, r) => s + r.CITO, 0),
-            "JUMLAH": 0
-        };
-        totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
-        mockReport.push(totalRow);
-        return res.json(mockReport);
-    }
+        // The whole backlog is ranked, so every page is read
+        const waiting = await fetchAllRows(() => {
+            let query = supabase
+                .from('pendaftaran_operasi')
+                .select('*')
+                .is('deleted_at', null)
+                .is('tanggal_rencana_operasi', null)
+                .or('status.is.null,status.not.in.(cancelled,done)');
 
-    try {
-        const startOfYear = `${reportYear}-01-01`;
-        const endOfYear = `${reportYear}-12-31`;
+            if (jenis_operasi !== 'all') query = query.eq('jenis_operasi', jenis_operasi);
+            if (dokter_operator) query = query.eq('dokter_operator', dokter_operator);
 
-        const { data: dbData, error } = await supabase
-            .from('pendaftaran_operasi')
-            .select('tanggal_rencana_operasi, jenis_operasi, klasifikasi_operasi')
-            .eq('dokter_operator', dokter)
-            .gte('tanggal_rencana_operasi', startOfYear)
-            .lte('tanggal_rencana_operasi', endOfYear);
+            return query.order('id', { ascending: true });
+        });
 
-        if (error) throw error;
+        const rules = await loadPriorityRules();
+        const now = new Date();
+        const ranked = waiting
+            .map(reg => ({ ...reg, status: reg.status || 'registered', priority: waitingPriority(reg, rules, now) }))
+            .sort((a, b) => b.priority.score - a.priority.score || a.priority.days_waiting - b.priority.days_waiting);
 
-        const report = INDONESIAN_MONTHS.map((monthName, index) => {
-            const monthNum = index + 1;
-            const row = {
-                "BULAN": monthName,
-                "ELEKTIF": 0,
-                "CITO": 0,
-                "KHUSUS": 0,
-                "BESAR": 0,
-                "SEDANG": 0,
-                "KECIL": 0,
-                "JUMLAH": 0
-            };
+        const from = (pageNum - 1) * sizeNum;
 
-            if (dbData) {
-                dbData.forEach(d => {
-                    const date = new Date(d.tanggal_rencana_operasi);
-                    const dMonth = date.getMonth() + 1;
-                    if (dMonth === monthNum) {
-                        // Count Jenis Operasi
-                        if (d.jenis_operasi === 'ELEKTIF') row.ELEKTIF++;
-                        else if (d.jenis_operasi === 'CITO') row.CITO++;
-
-                        // Count Klasifikasi Operasi
-                        const klasifikasi = d.klasifikasi_operasi ? d.klasifikasi_operasi.toUpperCase() : null;
-                        if (klasifikasi) {
-                            if (row[klasifikasi] !== undefined) {
-                                row[klasifikasi]++;
-                            } else {
-                                row[klasifikasi] = 1;
-                            }
-                        }
-                    }
-                });
+        res.json({
+            data: ranked.slice(from, from + sizeNum).map((reg, i) => ({ rank: from + i + 1, ...reg })),
+            pagination: {
+                total: ranked.length,
+                page: pageNum,
+                pageSize: sizeNum,
+                totalPages: Math.ceil(ranked.length / sizeNum)
             }
-            row.JUMLAH = row.ELEKTIF + row.CITO;
-            return row;
-        });
-
-        const totalRow = {
-            "BULAN": "TOTAL",
-            "ELEKTIF": report.reduce((s, r) => s + r.ELEKTIF, 0),
-            "CITO": report.reduce((s, r) => s + r.CITO, 0),
-            "KHUSUS": report.reduce((s, r) => s + r.KHUSUS, 0),
-            "BESAR": report.reduce((s, r) => s + r.BESAR, 0),
-            "SEDANG": report.reduce((s, r) => s + r.SEDANG, 0),
-            "KECIL": report.reduce((s, r) => s + r.KECIL, 0),
-            "JUMLAH": 0
-        };
-        totalRow.JUMLAH = totalRow.ELEKTIF + totalRow.CITO;
-        report.push(totalRow);
-
-        res.json(report);
-    } catch (err) {
-        console.error('Doctor summary report error:', err);
-        res.status(500).json({
-            error: 'Internal server error while generating doctor report',
-            details: err.message
         });
+    } catch (err) {
+        console.error('Fetch waiting list error:', err);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/report/yearly-summary:
+ * /api/waiting-list/{id}/suggest-slots:
  *   get:
- *     summary: Get general yearly monthly summary report for all poli
+ *     summary: Suggest the earliest free room/time slots for a waiting registration
+ *     description: |
+ *       Respects room opening hours (JAM_OPERASIONAL_OK parameters, default 07:00-14:00, no Sundays),
+ *       existing bookings in each room and the other cases of the surgeon and anesthesiologist.
+ *       Rooms are the active RUANG_OPERASI parameters, or the rooms already used by bookings.
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *       - in: query
- *         name: year
- *         description: Year for the report (YYYY)
- *         required: false
+ *         name: from
+ *         description: First date to consider (YYYY-MM-DD). Defaults to tomorrow (WIB).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: days
  *         schema:
  *           type: integer
- *           default: 2026
+ *           default: 14
+ *           maximum: 60
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *       - in: query
+ *         name: ruang_operasi
+ *         description: Only suggest this room
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Monthly summary with aggregated ELEKTIF and CITO counts across all polis.
+ *         description: Suggested slots, earliest first.
+ *       404:
+ *         description: Registration not found.
  */
-// General Yearly Summary Report API
-app.get('/api/report/yearly-summary', authenticateToken, async (req, res) => {
-    const { year } = req.query;
-    const reportYear = parseInt(year) || new Date().getFullYear();
-
-    const INDONESIAN_MONTHS = [
-        "JANUARI", "PEBRUARI", "MARET", "APRIL", "MEI", "JUNI",
-        "JULI", "AGUSTUS", "SEPTEMBER", "OKTOBER", "NOPEMBER", "DESEMBER"
-    ];
+// Suggest Slots API
+app.get('/api/waiting-list/:id/suggest-slots', authenticateToken, authorize('registrations:read'), async (req, res) => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+    const from = req.query.from || tomorrow;
+    const days = Math.min(parseInt(req.query.days) || 14, SUGGEST_MAX_DAYS);
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    const fromError = validateFieldValue(from, { type: 'date' }).error;
+    if (fromError) {
+        return res.status(400).json({ error: `from ${fromError}` });
+    }
+    if (from < today) {
+        return res.status(400).json({ error: 'from cannot be in the past' });
+    }
 
     try {
-        const startOfYear = `${reportYear}-01-01`;
-        const endOfYear = `${reportYear}-12-31`;
-
-        const { data: dbData, error } = await supabase
+        const { data: reg, error } = await supabase
             .from('pendaftaran_operasi')
-            .select('tanggal_rencana_operasi, jenis_operasi')
-            .gte('tanggal_rencana_operasi', startOfYear)
-            .lte('tanggal_rencana_operasi', endOfYear);
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', req.params.id)
+            .maybeSingle();
 
         if (error) throw error;
+        if (!reg) return res.status(404).json({ error: 'Registration not found' });
 
-        const report = INDONESIAN_MONTHS.map((monthName, index) => {
-            const monthNum = index + 1;
-            const row = {
-                "BULAN": monthName,
-                "ELEKTIF": 0,
-                "CITO": 0,
-                "KHUSUS": 0,
-                "BESAR": 0,
-                "SEDANG": 0,
-                "KECIL": 0
-            };
+        const suggestions = await suggestSlots(reg, { from, days, limit, room: req.query.ruang_operasi || null });
 
-            if (dbData) {
-                dbData.forEach(d => {
-                    const date = new Date(d.tanggal_rencana_operasi);
-                    const dMonth = date.getMonth() + 1;
-                    if (dMonth === monthNum) {
-                        // Count Jenis Operasi
-                        if (d.jenis_operasi === 'ELEKTIF') row.ELEKTIF++;
-                        else if (d.jenis_operasi === 'CITO') row.CITO++;
-
-                        // Count Klasifikasi Operasi
-                        const klasifikasi = d.klasifikasi_operasi ? d.klasifikasi_operasi.toUpperCase() : null;
-                        if (klasifikasi) {
-                            if (row[klasifikasi] !== undefined) {
-                                row[klasifikasi]++;
-                            } else {
-                                row[klasifikasi] = 1;
-                            }
-                        }
-                    }
-                });
-            }
-            return row;
+        res.json({
+            registration: {
+                id: reg.id,
+                nama_pasien: reg.nama_pasien,
+                no_rekam_medis: reg.no_rekam_medis,
+                tindakan_operasi: reg.tindakan_operasi,
+                dokter_operator: reg.dokter_operator,
+                dokter_anestesi: reg.dokter_anestesi
+            },
+            searched: { from, days },
+            data: suggestions
         });
-
-        const totalRow = {
-            "BULAN": "TOTAL",
-            "ELEKTIF": report.reduce((s, r) => s + (r.ELEKTIF || 0), 0),
-            "CITO": report.reduce((s, r) => s + (r.CITO || 0), 0),
-            "KHUSUS": report.reduce((s, r) => s + (r.KHUSUS || 0), 0),
-            "BESAR": report.reduce((s, r) => s + (r.BESAR || 0), 0),
-            "SEDANG": report.reduce((s, r) => s + (r.SEDANG || 0), 0),
-            "KECIL": report.reduce((s, r) => s + (r.KECIL || 0), 0)
-        };
-        report.push(totalRow);
-
-        res.json(report);
     } catch (err) {
-        console.error('General yearly summary report error:', err);
-        res.status(500).json({
-            error: 'Internal server error while generating summary report',
-            details: err.message
-        });
+        console.error('Suggest slots error:', err);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @openapi
- * /api/report/doctor-surgery-count:
- *   get:
- *     summary: Get surgery count for a specific doctor grouped by surgery type in a year
+ * /api/waiting-list/{id}/book:
+ *   post:
+ *     summary: Book a waiting registration into a slot
+ *     description: |
+ *       Sets the planned date, time, room and planned duration (durasi_rencana_menit, defaulting from DURASI_TINDAKAN)
+ *       and moves the registration to scheduled in one call. The slot is checked again for conflicts, opening hours,
+ *       closed days (Sundays) and whether it is already in the past.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: year
- *         description: Year for the report (YYYY)
- *         schema:
- *           type: integer
- *           default: 2026
- *       - in: query
- *         name: dokter
- *         description: Doctor name (dokter_operator)
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tanggal_rencana_operasi, jam_rencana_operasi, ruang_operasi]
+ *             properties:
+ *               tanggal_rencana_operasi:
+ *                 type: string
+ *                 format: date
+ *               jam_rencana_operasi:
+ *                 type: string
+ *                 example: "08:00"
+ *               ruang_operasi:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Grouped surgery counts for the specified doctor.
- *       400:
- *         description: Missing doctor name.
+ *         description: Registration booked and scheduled.
+ *       404:
+ *         description: Registration not found.
+ *       409:
+ *         description: Not on the waiting list, status does not allow scheduling, or the slot is taken.
+ *       422:
+ *         description: Validation failed, or the slot is in the past, on a closed day or outside the room's opening hours.
  */
-// Doctor Surgery Count Report API
-app.get('/api/report/doctor-surgery-count', authenticateToken, async (req, res) => {
-    const { year, dokter } = req.query;
-    const reportYear = parseInt(year) || new Date().getFullYear();
-
-    if (!dokter) {
-        return res.status(400).json({ error: 'Parameter "dokter" is required' });
-    }
+// Book Waiting Registration API
+app.post('/api/waiting-list/:id/book', authenticateToken, authorize('registrations:write'), async (req, res) => {
+    const { id } = req.params;
+    const slotSchema = {
+        tanggal_rencana_operasi: { ...REGISTRATION_SCHEMA.tanggal_rencana_operasi, required: true },
+        jam_rencana_operasi: { ...REGISTRATION_SCHEMA.jam_rencana_operasi, required: true },
+        ruang_operasi: { ...REGISTRATION_SCHEMA.ruang_operasi, required: true }
+    };
 
     try {
-        const startOfYear = `${reportYear}-01-01`;
-        const endOfYear = `${reportYear}-12-31`;
+        const { data: slot, errors } = await validatePayload(slotSchema, req.body);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data: before, error: bError } = await supabase
+            .from('pendaftaran_operasi')
+            .select('*')
+            .is('deleted_at', null)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (bError) throw bError;
+        if (!before) return res.status(404).json({ error: 'Registration not found' });
+
+        if (before.tanggal_rencana_operasi) {
+            return res.status(409).json({ error: 'Registration already has a planned date; update or reschedule it instead' });
+        }
 
-        const { data: dbData, error } = await supabase
+        const currentStatus = before.status || 'registered';
+        if (!REGISTRATION_STATUS_TRANSITIONS[currentStatus].includes('scheduled')) {
+            return res.status(409).json({
+                error: `Cannot change status from ${currentStatus} to scheduled`,
+                current_status: currentStatus,
+                allowed: REGISTRATION_STATUS_TRANSITIONS[currentStatus]
+            });
+        }
+
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' });
+        const nowMinutes = timeToMinutes(new Date().toLocaleTimeString('en-GB', { timeZone: 'Asia/Jakarta', hourCycle: 'h23' }));
+        const start = timeToMinutes(slot.jam_rencana_operasi);
+        if (slot.tanggal_rencana_operasi < today || (slot.tanggal_rencana_operasi === today && start < nowMinutes)) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                details: [{ field: 'tanggal_rencana_operasi', message: 'the slot is in the past' }]
+            });
+        }
+        if (OR_CLOSED_WEEKDAYS.includes(new Date(`${slot.tanggal_rencana_operasi}T00:00:00Z`).getUTCDay())) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                details: [{ field: 'tanggal_rencana_operasi', message: 'elective lists do not run on that day' }]
+            });
+        }
+
+        const defaults = await loadDurationDefaults();
+        const duration = plannedDuration(before, defaults);
+        const { open, close } = (await loadRoomOpeningHours())(slot.ruang_operasi);
+        if (start < open || start + duration > close) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                details: [{ field: 'jam_rencana_operasi', message: `must fit within ${slot.ruang_operasi} opening hours ${minutesToTime(open)}-${minutesToTime(close)}` }]
+            });
+        }
+
+        const conflicts = await findScheduleConflicts({ ...before, ...slot }, { excludeId: id, defaults });
+        if (conflicts.length > 0 && !hasPermission(req.user, 'registrations:override_conflicts')) {
+            return res.status(409).json({ error: 'Schedule conflict', conflicts });
+        }
+
+        // Only apply if nobody changed the registration in the meantime
+        const { data, error } = await whereVersion(supabase
             .from('pendaftaran_operasi')
-            .select('tindakan_operasi')
-            .eq('dokter_operator', dokter)
-            .gte('tanggal_rencana_operasi', startOfYear)
-            .lte('tanggal_rencana_operasi', endOfYear);
+            .update({ ...slot, durasi_rencana_menit: duration, status: 'scheduled', version: nextVersion(before), updated_on: new Date().toISOString(), updated_by: req.user.id })
+            .eq('id', id), before)
+            .select()
+            .maybeSingle();
 
         if (error) throw error;
+        if (!data) return respondStaleRegistration(req, res, { id });
 
-        const counts = (dbData || []).reduce((acc, row) => {
-            const tindakan = row.tindakan_operasi || 'TIDAK DIKETAHUI';
-            acc[tindakan] = (acc[tindakan] || 0) + 1;
-            return acc;
-        }, {});
+        await recordRegistrationVersions(req, { before, after: data, action: 'book' });
 
-        const tindakanList = Object.entries(counts).map(([jenis, count]) => ({
-            jenis,
-            count
-        }));
+        await recordStatusHistory(req, {
+            registration_id: id,
+            from_status: currentStatus,
+            to_status: 'scheduled',
+            reason: 'Booked from waiting list'
+        });
+
+        await recordAudit(req, { entity: 'pendaftaran_operasi', entityId: id, action: 'update', before, after: data });
 
         res.json({
-            dokter,
-            year: reportYear,
-            tindakan: tindakanList,
-            total: dbData ? dbData.length : 0
+            message: 'Registration booked successfully',
+            data,
+            ...(conflicts.length > 0 && { warnings: conflicts })
         });
     } catch (err) {
-        console.error('Doctor surgery count report error:', err);
-        res.status(500).json({
-            error: 'Internal server error while generating report',
-            details: err.message
-        });
+        console.error('Book waiting registration error:', err);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // ─── WhatsApp Cron Job ────────────────────────────────────────────────────────
 
+// Helper: current datetime as ISO string in UTC+7 (Asia/Jakarta), used for cron_job_logs timestamps
+function nowWIB() {
+    const d = new Date();
+    return d.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T') + '+07:00';
+}
+
 /**
  * Send a WhatsApp message via Fonnte API.
  * @param {string} target - Phone number of the recipient.
@@ -1688,12 +9474,6 @@ async function sendWhatsAppMessage(target, message) {
  * 5. Log each execution result to cron_job_logs table.
  */
 async function runDailyWhatsAppJob() {
-    // Helper: current datetime as ISO string in UTC+7 (Asia/Jakarta)
-    const nowWIB = () => {
-        const d = new Date();
-        return d.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T') + '+07:00';
-    };
-
     const startedAt = nowWIB();
     console.log('[Cron] Running daily WhatsApp job at', startedAt);
 
@@ -1738,6 +9518,8 @@ async function runDailyWhatsAppJob() {
         const { data: surgeries, error: sError } = await supabase
             .from('pendaftaran_operasi')
             .select('nama_pasien, no_rekam_medis, umur_tahun, jenis_umur, dokter_operator, dokter_anestesi, jam_rencana_operasi, jenis_operasi, ruangan_rawat_inap, diagnosis, nomor_telp_1, nomor_telp_2, ruang_operasi, tindakan_operasi')
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
             .eq('tanggal_rencana_operasi', targetDate)
             .order('ruangan_rawat_inap', { ascending: true })
             .order('jam_rencana_operasi', { ascending: true });
@@ -1770,6 +9552,7 @@ async function runDailyWhatsAppJob() {
             const { data: param, error: pError } = await supabase
                 .from('mst_parameter')
                 .select('param_value, param_name')
+                .is('deleted_at', null)
                 .eq('param_type', 'RUANG_RAWAT_INAP')
                 .eq('param_name', roomName)
                 .eq('is_active', true)
@@ -1856,11 +9639,6 @@ app.get('/api/cron/whatsapp-daily', async (req, res) => {
     const isAuthorized = cronSecret && authHeader === `Bearer ${cronSecret}`;
 
     // Log the attempt for debugging
-    const nowWIB = () => {
-        const d = new Date();
-        return d.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T') + '+07:00';
-    };
-
     const redactedHeaders = { ...req.headers };
     if (redactedHeaders.authorization) redactedHeaders.authorization = '[REDACTED]';
 
@@ -1925,7 +9703,7 @@ if (!process.env.VERCEL) {
  *       200:
  *         description: Job triggered.
  */
-app.get('/api/test-whatsapp-job', authenticateToken, async (req, res) => {
+app.get('/api/test-whatsapp-job', authenticateToken, authorize('whatsapp:send'), async (req, res) => {
     try {
         const result = await runDailyWhatsAppJob();
         res.json({
@@ -1988,7 +9766,7 @@ app.get('/api/test-whatsapp-job', authenticateToken, async (req, res) => {
  *                       last_attempt:
  *                         type: string
  */
-app.get('/api/cron/whatsapp-status', authenticateToken, async (req, res) => {
+app.get('/api/cron/whatsapp-status', authenticateToken, authorize('whatsapp:read'), async (req, res) => {
     try {
         let { date, executionDate } = req.query;
         const originalParams = { date, executionDate };
@@ -2020,6 +9798,8 @@ app.get('/api/cron/whatsapp-status', authenticateToken, async (req, res) => {
         const { data: surgeries, error: sError } = await supabase
             .from('pendaftaran_operasi')
             .select('ruangan_rawat_inap, nama_pasien')
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
             .eq('tanggal_rencana_operasi', date);
 
         if (sError) throw sError;
@@ -2037,6 +9817,7 @@ app.get('/api/cron/whatsapp-status', authenticateToken, async (req, res) => {
         const { data: roomParams, error: rpError } = await supabase
             .from('mst_parameter')
             .select('param_name, param_value')
+            .is('deleted_at', null)
             .eq('param_type', 'RUANG_RAWAT_INAP')
             .in('param_name', uniqueRooms)
             .eq('is_active', true);
@@ -2171,7 +9952,7 @@ app.get('/api/cron/whatsapp-status', authenticateToken, async (req, res) => {
  *       200:
  *         description: Resend attempt completed.
  */
-app.post('/api/cron/whatsapp-resend', authenticateToken, async (req, res) => {
+app.post('/api/cron/whatsapp-resend', authenticateToken, authorize('whatsapp:send'), async (req, res) => {
     const { date, room } = req.body;
 
     if (!date || !room) {
@@ -2185,6 +9966,8 @@ app.post('/api/cron/whatsapp-resend', authenticateToken, async (req, res) => {
         const { data: surgeries, error: sError } = await supabase
             .from('pendaftaran_operasi')
             .select('nama_pasien, no_rekam_medis, umur_tahun, dokter_operator, dokter_anestesi, jam_rencana_operasi, jenis_operasi, ruangan_rawat_inap, diagnosis, nomor_telp_1, nomor_telp_2, ruang_operasi, tindakan_operasi')
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
             .eq('tanggal_rencana_operasi', date)
             .eq('ruangan_rawat_inap', room)
             .order('jam_rencana_operasi', { ascending: true });
@@ -2199,6 +9982,7 @@ app.post('/api/cron/whatsapp-resend', authenticateToken, async (req, res) => {
         const { data: param, error: pError } = await supabase
             .from('mst_parameter')
             .select('param_value, param_name')
+            .is('deleted_at', null)
             .eq('param_type', 'RUANG_RAWAT_INAP')
             .eq('param_name', room)
             .eq('is_active', true)
@@ -2337,7 +10121,7 @@ app.post('/api/cron/whatsapp-resend', authenticateToken, async (req, res) => {
  *       200:
  *         description: Resend attempt completed.
  */
-app.post('/api/whatsapp/resend', authenticateToken, async (req, res) => {
+app.post('/api/whatsapp/resend', authenticateToken, authorize('whatsapp:send'), async (req, res) => {
     const { targetDate, room } = req.body;
 
     if (!targetDate || !room) {
@@ -2350,6 +10134,8 @@ app.post('/api/whatsapp/resend', authenticateToken, async (req, res) => {
         const { data: surgeries, error: sError } = await supabase
             .from('pendaftaran_operasi')
             .select('nama_pasien, no_rekam_medis, umur_tahun, dokter_operator, dokter_anestesi, jam_rencana_operasi, jenis_operasi, ruangan_rawat_inap, diagnosis, nomor_telp_1, nomor_telp_2, ruang_operasi, tindakan_operasi')
+            .is('deleted_at', null)
+            .or(ACTIVE_BOOKING_FILTER)
             .eq('tanggal_rencana_operasi', targetDate)
             .eq('ruangan_rawat_inap', room)
             .order('jam_rencana_operasi', { ascending: true });
@@ -2364,6 +10150,7 @@ app.post('/api/whatsapp/resend', authenticateToken, async (req, res) => {
         const { data: param, error: pError } = await supabase
             .from('mst_parameter')
             .select('param_value, param_name')
+            .is('deleted_at', null)
             .eq('param_type', 'RUANG_RAWAT_INAP')
             .eq('param_name', room)
             .eq('is_active', true)
@@ -2506,7 +10293,7 @@ app.post('/api/whatsapp/resend', authenticateToken, async (req, res) => {
  *         description: Paginated list of cron job logs.
  */
 // Get Cron Logs API
-app.get('/api/cron-logs', authenticateToken, async (req, res) => {
+app.get('/api/cron-logs', authenticateToken, authorize('whatsapp:read'), async (req, res) => {
     try {
         const { date, job_name, page = 1, pageSize = 20 } = req.query;
         const pageNum = parseInt(page);